@@ -0,0 +1,148 @@
+// migrate.js
+// Versioned schema migrations. Each file in migrations/ is named NNN_description.js and
+// exports `async up(db)`; applied versions are recorded in schema_version.
+//
+// CLI (stop the server first - it holds an exclusive lock on the database):
+//   node migrate.js status   list applied and pending migrations
+//   node migrate.js up       apply pending migrations
+
+import { fileURLToPath, pathToFileURL } from 'url';
+import { dirname, join } from 'path';
+import { readdir } from 'fs/promises';
+import sqlite3 from 'sqlite3';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+const MIGRATIONS_DIR = join(__dirname, 'migrations');
+const MIGRATION_FILE = /^(\d+)_([\w-]+)\.js$/;
+
+export async function loadMigrations() {
+  const files = (await readdir(MIGRATIONS_DIR)).filter(f => f.endsWith('.js')).sort();
+  const migrations = [];
+  for (const file of files) {
+    const m = file.match(MIGRATION_FILE);
+    if (!m) throw new Error(`Bad migration file name "${file}" (expected NNN_description.js)`);
+    const version = Number(m[1]);
+    const dup = migrations.find(x => x.version === version);
+    if (dup) throw new Error(`Migrations ${dup.file} and ${file} share version ${version}`);
+    const mod = await import(pathToFileURL(join(MIGRATIONS_DIR, file)).href);
+    if (typeof mod.up !== 'function') throw new Error(`Migration ${file} does not export up()`);
+    migrations.push({ version, name: m[2], file, up: mod.up });
+  }
+  return migrations.sort((a, b) => a.version - b.version);
+}
+
+// db is { run, get, all } returning promises (server.js passes dbRun/dbGet/dbAll)
+function withHelpers(db) {
+  return {
+    ...db,
+    async addColumnIfMissing(table, column, type) {
+      const cols = await db.all(`PRAGMA table_info(${table})`);
+      if (cols.some(c => c.name === column)) return;
+      await db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${type}`);
+      console.log(`DB: added column ${table}.${column}`);
+    }
+  };
+}
+
+async function ensureVersionTable(db) {
+  await db.run(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+export async function migrationStatus(db) {
+  await ensureVersionTable(db);
+  const migrations = await loadMigrations();
+  const applied = await db.all('SELECT version, name, applied_at FROM schema_version ORDER BY version');
+  const appliedAt = new Map(applied.map(r => [r.version, r.applied_at]));
+  const codeVersion = migrations.length ? migrations[migrations.length - 1].version : 0;
+  const dbVersion = applied.length ? applied[applied.length - 1].version : 0;
+  return {
+    dbVersion,
+    codeVersion,
+    migrations: migrations.map(m => ({ version: m.version, name: m.name, applied_at: appliedAt.get(m.version) || null })),
+    pending: migrations.filter(m => !appliedAt.has(m.version)),
+    // Applied by a newer build; this code doesn't know what they changed
+    unknown: applied.filter(r => !migrations.some(m => m.version === r.version))
+  };
+}
+
+// Applies every pending migration in one transaction: either all land or none do.
+// Refuses to touch a database that a newer build has already migrated.
+export async function migrate(db) {
+  const status = await migrationStatus(db);
+  if (status.dbVersion > status.codeVersion || status.unknown.length) {
+    throw new Error(`Database schema is version ${status.dbVersion} but this build only knows up to ${status.codeVersion}` +
+      (status.unknown.length ? ` (unknown: ${status.unknown.map(r => `${r.version}_${r.name}`).join(', ')})` : '') +
+      ' - deploy the newer code or restore a matching backup');
+  }
+  if (!status.pending.length) return [];
+
+  const helpers = withHelpers(db);
+  await db.run('BEGIN IMMEDIATE');
+  try {
+    for (const m of status.pending) {
+      console.log(`DB: applying migration ${m.file}`);
+      await m.up(helpers);
+      await db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [m.version, m.name]);
+    }
+    await db.run('COMMIT');
+  } catch (e) {
+    await db.run('ROLLBACK').catch(() => {});
+    throw e;
+  }
+  return status.pending.map(m => m.file);
+}
+
+// ----------------------------------- CLI -------------------------------------
+function openDatabase(path) {
+  return new Promise((resolve, reject) => {
+    const conn = new sqlite3.Database(path, sqlite3.OPEN_READWRITE | sqlite3.OPEN_CREATE, (err) => {
+      if (err) return reject(err);
+      conn.run('PRAGMA busy_timeout = 5000', () => resolve(conn));
+    });
+  });
+}
+
+async function cli(command) {
+  const dbPath = process.env.DATABASE_PATH || join(__dirname, 'call_records.db');
+  const conn = await openDatabase(dbPath);
+  const db = {
+    run: (sql, params = []) => new Promise((res, rej) => {
+      conn.run(sql, params, function (err) { err ? rej(err) : res({ changes: this.changes, lastID: this.lastID }); });
+    }),
+    get: (sql, params = []) => new Promise((res, rej) => conn.get(sql, params, (err, row) => err ? rej(err) : res(row))),
+    all: (sql, params = []) => new Promise((res, rej) => conn.all(sql, params, (err, rows) => err ? rej(err) : res(rows)))
+  };
+  try {
+    console.log(`Database: ${dbPath}`);
+    if (command === 'status') {
+      const status = await migrationStatus(db);
+      console.log(`Schema version: ${status.dbVersion} (code: ${status.codeVersion})`);
+      for (const m of status.migrations) {
+        console.log(`  ${m.applied_at ? '✅' : '⏳'} ${String(m.version).padStart(3, '0')}_${m.name}${m.applied_at ? `  applied ${m.applied_at}` : '  pending'}`);
+      }
+      for (const r of status.unknown) console.log(`  ⚠️  ${String(r.version).padStart(3, '0')}_${r.name}  applied ${r.applied_at} by a newer build`);
+    } else if (command === 'up') {
+      const applied = await migrate(db);
+      console.log(applied.length ? `✅ Applied ${applied.length} migration(s)` : 'Schema is up to date');
+    } else {
+      console.error('Usage: node migrate.js <status|up>');
+      process.exitCode = 2;
+    }
+  } finally {
+    await new Promise(res => conn.close(res));
+  }
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  cli(process.argv[2]).catch((e) => {
+    console.error(e.code === 'SQLITE_BUSY' ? 'Database is locked - stop the server before running migrations' : `❌ ${e.message}`);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,389 @@
+// migrations/001_initial_schema.js
+// Baseline schema. Written with IF NOT EXISTS / addColumnIfMissing so it also adopts
+// databases created before versioned migrations; later changes go in new files.
+
+export async function up({ run, addColumnIfMissing }) {
+  await run(`
+    CREATE TABLE IF NOT EXISTS calls (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_id TEXT UNIQUE,
+      direction TEXT,
+      from_number TEXT,
+      to_number TEXT,
+      status TEXT,
+      start_time DATETIME,
+      end_time DATETIME,
+      duration INTEGER,
+      recording_url TEXT,
+      transcript TEXT,
+      transcript_url TEXT,
+      call_type TEXT,
+      customer_info TEXT,
+      contractor_info TEXT,
+      notes TEXT,
+      customer_zip_code TEXT,
+      customer_name TEXT,
+      lead_quality TEXT,
+      lead_score INTEGER,
+      callback_number TEXT,
+      recording_started_at DATETIME,
+      bridged_at DATETIME,
+      lead_score_reasons TEXT,
+      lead_scored_at DATETIME,
+      zapier_sent BOOLEAN DEFAULT FALSE,
+      zapier_sent_at DATETIME,
+      pending_human_call_id TEXT,
+      linked_customer_call_id TEXT,
+      human_dial_started_at DATETIME,
+      human_answered_at DATETIME,
+      outbound_message TEXT,
+      customer_id INTEGER REFERENCES customers(id),
+      conference_name TEXT,
+      conference_joined_at DATETIME,
+      conference_left_at DATETIME,
+      ivr_state TEXT,
+      rep_id INTEGER,
+      after_hours BOOLEAN DEFAULT 0,
+      in_service_area BOOLEAN,
+      campaign TEXT,
+      brand_name TEXT,
+      lead_source TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS customers (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      phone_number TEXT UNIQUE NOT NULL,
+      name TEXT,
+      address TEXT,
+      damage_type TEXT,
+      urgency TEXT,
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS contractors (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      phone_number TEXT UNIQUE NOT NULL,
+      name TEXT,
+      company TEXT,
+      service_area TEXT,
+      service_zip_codes TEXT,
+      specialties TEXT,
+      rating REAL,
+      availability TEXT DEFAULT 'available',
+      notes TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS conferences (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      telnyx_conference_id TEXT,
+      status TEXT,
+      customer_number TEXT,
+      contractor_number TEXT,
+      dispatcher_number TEXT,
+      recording_url TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      started_at DATETIME,
+      ended_at DATETIME
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS zapier_outbox (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_id TEXT UNIQUE NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME,
+      last_error TEXT,
+      payload TEXT,
+      delivered_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_zapier_outbox_due ON zapier_outbox(status, next_attempt_at)`);
+  await run(`
+    CREATE TABLE IF NOT EXISTS pending_transfers (
+      human_call_id TEXT PRIMARY KEY,
+      customer_call_id TEXT NOT NULL,
+      state TEXT NOT NULL,
+      deadline_at DATETIME NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`CREATE INDEX IF NOT EXISTS idx_pending_transfers_customer ON pending_transfers(customer_call_id)`);
+  await run(`
+    CREATE TABLE IF NOT EXISTS reps (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT,
+      phone_number TEXT UNIQUE NOT NULL,
+      status TEXT NOT NULL DEFAULT 'available',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS rep_groups (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT UNIQUE NOT NULL,
+      strategy TEXT NOT NULL DEFAULT 'sequential',
+      ring_timeout_secs INTEGER NOT NULL DEFAULT 20,
+      is_default BOOLEAN NOT NULL DEFAULT 0,
+      last_rep_id INTEGER,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS rep_group_members (
+      group_id INTEGER NOT NULL REFERENCES rep_groups(id) ON DELETE CASCADE,
+      rep_id INTEGER NOT NULL REFERENCES reps(id) ON DELETE CASCADE,
+      position INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (group_id, rep_id)
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS rep_hunts (
+      customer_call_id TEXT PRIMARY KEY,
+      group_id INTEGER,
+      group_name TEXT,
+      strategy TEXT NOT NULL,
+      ring_timeout_ms INTEGER NOT NULL,
+      queue TEXT NOT NULL DEFAULT '[]',
+      answered_call_id TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS voicemails (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_id TEXT NOT NULL,
+      customer_id INTEGER,
+      from_number TEXT,
+      reason TEXT,
+      status TEXT NOT NULL DEFAULT 'recording',
+      recording_url TEXT,
+      duration_secs INTEGER,
+      error TEXT,
+      started_at DATETIME,
+      saved_at DATETIME,
+      reviewed_at DATETIME,
+      reviewed_by TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_voicemails_call ON voicemails(call_id)');
+  await run('CREATE INDEX IF NOT EXISTS idx_voicemails_unheard ON voicemails(reviewed_at, status)');
+  await run(`
+    CREATE TABLE IF NOT EXISTS transcript_utterances (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_id TEXT NOT NULL,
+      seq INTEGER NOT NULL,
+      channel TEXT,
+      speaker TEXT,
+      role TEXT NOT NULL,
+      start_ms INTEGER,
+      end_ms INTEGER,
+      text TEXT NOT NULL,
+      confidence REAL
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_utterances_call ON transcript_utterances(call_id, seq)');
+  await run(`
+    CREATE TABLE IF NOT EXISTS transcription_jobs (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_id TEXT UNIQUE NOT NULL,
+      provider TEXT NOT NULL,
+      external_id TEXT,
+      audio_url TEXT NOT NULL,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME,
+      last_error TEXT,
+      completed_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_transcription_jobs_due ON transcription_jobs(status, next_attempt_at)');
+  await run('CREATE INDEX IF NOT EXISTS idx_transcription_jobs_external ON transcription_jobs(provider, external_id)');
+  await run(`
+    CREATE TABLE IF NOT EXISTS media_objects (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      owner_type TEXT NOT NULL,
+      owner_id TEXT NOT NULL,
+      kind TEXT NOT NULL,
+      storage_driver TEXT NOT NULL,
+      requested_key TEXT NOT NULL,
+      storage_key TEXT,
+      content_type TEXT,
+      source_url TEXT,
+      source_ref TEXT,
+      sha256 TEXT,
+      size_bytes INTEGER,
+      status TEXT NOT NULL DEFAULT 'pending',
+      attempts INTEGER NOT NULL DEFAULT 0,
+      next_attempt_at DATETIME,
+      last_error TEXT,
+      stored_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (owner_type, owner_id, kind)
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_media_objects_due ON media_objects(status, next_attempt_at)');
+  await run(`
+    CREATE TABLE IF NOT EXISTS users (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      username TEXT UNIQUE NOT NULL,
+      password_hash TEXT NOT NULL,
+      role TEXT NOT NULL DEFAULT 'readonly',
+      disabled INTEGER NOT NULL DEFAULT 0,
+      last_login_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      id TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      expires_at DATETIME NOT NULL,
+      ip TEXT,
+      user_agent TEXT,
+      last_seen_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id)');
+  await run(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      name TEXT NOT NULL,
+      key_hash TEXT UNIQUE NOT NULL,
+      prefix TEXT NOT NULL,
+      scopes TEXT NOT NULL,
+      created_by TEXT,
+      last_used_at DATETIME,
+      revoked_at DATETIME,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      actor_type TEXT NOT NULL,
+      actor_id TEXT,
+      actor_name TEXT,
+      action TEXT NOT NULL,
+      target_type TEXT,
+      target_id TEXT,
+      details TEXT,
+      ip TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run('CREATE INDEX IF NOT EXISTS idx_audit_log_target ON audit_log(target_type, target_id)');
+  await run('CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action, created_at)');
+  await run(`
+    CREATE TABLE IF NOT EXISTS phone_numbers (
+      number TEXT PRIMARY KEY,
+      brand_name TEXT,
+      campaign TEXT,
+      lead_source TEXT,
+      ivr_flow TEXT,
+      greeting_audio_url TEXT,
+      rep_group TEXT,
+      human_number TEXT,
+      zapier_webhook_url TEXT,
+      active INTEGER NOT NULL DEFAULT 1,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS lead_scoring_rules (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      rules TEXT NOT NULL,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS service_area (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      zip_codes TEXT NOT NULL DEFAULT '',
+      partner_number TEXT,
+      out_of_area_message TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS business_schedule (
+      id INTEGER PRIMARY KEY CHECK (id = 1),
+      enabled BOOLEAN NOT NULL DEFAULT 1,
+      timezone TEXT NOT NULL,
+      weekly TEXT NOT NULL,
+      after_hours_mode TEXT NOT NULL DEFAULT 'voicemail',
+      emergency_number TEXT,
+      after_hours_greeting TEXT,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS schedule_holidays (
+      date TEXT PRIMARY KEY,
+      name TEXT,
+      hours TEXT NOT NULL DEFAULT '[]'
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS ivr_flows (
+      name TEXT PRIMARY KEY,
+      definition TEXT NOT NULL,
+      version INTEGER NOT NULL DEFAULT 1,
+      is_active BOOLEAN NOT NULL DEFAULT 0,
+      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  await run(`
+    CREATE TABLE IF NOT EXISTS processed_webhook_events (
+      event_id TEXT PRIMARY KEY,
+      event_type TEXT,
+      call_id TEXT,
+      received_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+  // Databases created before migrations existed may predate these columns
+  await addColumnIfMissing('calls', 'outbound_message', 'TEXT');
+  await addColumnIfMissing('calls', 'customer_id', 'INTEGER REFERENCES customers(id)');
+  await addColumnIfMissing('calls', 'conference_name', 'TEXT');
+  await addColumnIfMissing('calls', 'conference_joined_at', 'DATETIME');
+  await addColumnIfMissing('calls', 'conference_left_at', 'DATETIME');
+  await addColumnIfMissing('calls', 'ivr_state', 'TEXT');
+  await addColumnIfMissing('calls', 'rep_id', 'INTEGER');
+  await addColumnIfMissing('calls', 'after_hours', 'BOOLEAN DEFAULT 0');
+  await addColumnIfMissing('calls', 'in_service_area', 'BOOLEAN');
+  await addColumnIfMissing('calls', 'lead_score', 'INTEGER');
+  await addColumnIfMissing('calls', 'callback_number', 'TEXT');
+  await addColumnIfMissing('calls', 'recording_started_at', 'DATETIME');
+  await addColumnIfMissing('calls', 'bridged_at', 'DATETIME');
+  await addColumnIfMissing('calls', 'lead_score_reasons', 'TEXT');
+  await addColumnIfMissing('calls', 'lead_scored_at', 'DATETIME');
+  await addColumnIfMissing('calls', 'campaign', 'TEXT');
+  await addColumnIfMissing('calls', 'brand_name', 'TEXT');
+  await addColumnIfMissing('calls', 'lead_source', 'TEXT');
+  await run(`CREATE INDEX IF NOT EXISTS idx_calls_customer_id ON calls(customer_id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_calls_conference ON calls(conference_name)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_calls_call_id ON calls(call_id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_calls_pending_human ON calls(pending_human_call_id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_calls_linked_customer ON calls(linked_customer_call_id)`);
+  await run(`CREATE INDEX IF NOT EXISTS idx_calls_campaign ON calls(campaign, start_time)`);
+}
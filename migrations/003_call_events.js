@@ -0,0 +1,21 @@
+// migrations/003_call_events.js
+// Append-only per-call history. calls.notes only ever held the latest step, so that
+// last note is carried over as the first event of existing calls.
+
+export async function up({ run }) {
+  await run(`
+    CREATE TABLE call_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      call_id TEXT NOT NULL,
+      type TEXT NOT NULL,
+      details TEXT,
+      created_at TEXT NOT NULL
+    )
+  `);
+  await run('CREATE INDEX idx_call_events_call ON call_events(call_id, id)');
+  await run(`
+    INSERT INTO call_events (call_id, type, details, created_at)
+    SELECT call_id, 'note', json_object('notes', notes), COALESCE(end_time, start_time, created_at)
+    FROM calls WHERE notes IS NOT NULL AND notes != '' AND call_id IS NOT NULL
+  `);
+}
@@ -1,13 +1,21 @@
 // server.js
-// Water Damage Lead System — durable bridging, Spaces mirroring, Zapier, AssemblyAI transcripts
+// Water Damage Lead System — durable bridging, Spaces mirroring, Zapier, pluggable transcription
 // Enhanced with comprehensive debugging
 
 import express from 'express';
 import { fileURLToPath } from 'url';
-import { dirname, join } from 'path';
+import { dirname, join, resolve, sep } from 'path';
+import { readFile, writeFile, unlink, mkdir, rename } from 'fs/promises';
+import { tmpdir } from 'os';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
 import sqlite3 from 'sqlite3';
+import { createReadStream } from 'fs';
 import crypto from 'crypto';
-import { S3Client, PutObjectCommand } from '@aws-sdk/client-s3';
+import { S3Client, PutObjectCommand, GetObjectCommand } from '@aws-sdk/client-s3';
+import { migrate } from './migrate.js';
+
+const execFileAsync = promisify(execFile);
 
 // ------------------------------- Paths / App ---------------------------------
 const __filename = fileURLToPath(import.meta.url);
@@ -21,6 +29,10 @@ const GREETING_AUDIO_URL = process.env.GREETING_AUDIO_URL || '';
 const MENU_AUDIO_URL = process.env.MENU_AUDIO_URL || '';
 const HUMAN_GREETING_AUDIO_URL = process.env.HUMAN_GREETING_AUDIO_URL || '';
 const HUMAN_BRIDGE_GREETING_MS = Number(process.env.HUMAN_BRIDGE_GREETING_MS || 3000); // staff greeting before bridge
+const IVR_FLOW_FILE = process.env.IVR_FLOW_FILE || ''; // optional JSON flow definitions
+const IVR_ACTIVE_FLOW = process.env.IVR_ACTIVE_FLOW || 'default'; // unless one is activated via the admin API
+const BRAND_NAME = process.env.BRAND_NAME || 'our flood and water damage restoration team'; // {brand} in prompts
+const HUMAN_ANSWER_TIMEOUT_MS = Number(process.env.HUMAN_ANSWER_TIMEOUT_MS || 35000); // rep must pick up within this
 
 // --------------------------- Telnyx / Routing --------------------------------
 const TELNYX_API_KEY = process.env.TELNYX_API_KEY || '';
@@ -28,6 +40,16 @@ const TELNYX_PHONE_NUMBER = process.env.TELNYX_PHONE_NUMBER || '';
 const TELNYX_CONNECTION_ID = process.env.TELNYX_CONNECTION_ID || '2755388541746808609';
 const WEBHOOK_BASE_URL = (process.env.WEBHOOK_BASE_URL || '').trim();
 const HUMAN_PHONE_NUMBER = process.env.HUMAN_PHONE_NUMBER || '';
+// Portal > Account Settings > Keys & Credentials > Public Key (base64). Webhooks are verified when set.
+const TELNYX_PUBLIC_KEY = (process.env.TELNYX_PUBLIC_KEY || '').trim();
+const TELNYX_WEBHOOK_TOLERANCE_SECS = Number(process.env.TELNYX_WEBHOOK_TOLERANCE_SECS || 300);
+const WEBHOOK_EVENT_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // dedupe window for Telnyx event ids
+const DISPATCHER_PHONE_NUMBER = process.env.DISPATCHER_PHONE_NUMBER || HUMAN_PHONE_NUMBER; // joins 3-way calls on request
+const AFTER_HOURS_EMERGENCY_NUMBER = process.env.AFTER_HOURS_EMERGENCY_NUMBER || ''; // unless the schedule sets one
+const SERVICE_AREA_ZIPS = process.env.SERVICE_AREA_ZIPS || ''; // e.g. "331*,33401"; until saved via the admin API
+const SERVICE_AREA_PARTNER_NUMBER = process.env.SERVICE_AREA_PARTNER_NUMBER || ''; // out-of-area callers go here
+const VOICEMAIL_MAX_SECS = Number(process.env.VOICEMAIL_MAX_SECS || 180);
+const VOICEMAIL_SILENCE_SECS = Number(process.env.VOICEMAIL_SILENCE_SECS || 8); // stop after this much silence
 
 function telnyxHeaders() {
   return {
@@ -52,17 +74,67 @@ const S3 = new S3Client({
   credentials: { accessKeyId: SPACES_KEY, secretAccessKey: SPACES_SECRET }
 });
 
+// --------------------------------- Storage -----------------------------------
+// s3 (Spaces or any S3-compatible bucket) | local | none; Spaces when a bucket is set
+const STORAGE_DRIVER = (process.env.STORAGE_DRIVER || (SPACES_BUCKET ? 's3' : 'local')).toLowerCase();
+const STORAGE_LOCAL_DIR = process.env.STORAGE_LOCAL_DIR || join(__dirname, 'storage');
+// true puts public-read CDN links on bucket objects; otherwise they're only reachable via /media
+const STORAGE_PUBLIC = String(process.env.STORAGE_PUBLIC || 'false').toLowerCase() === 'true';
+const STORAGE_HASH_KEYS = String(process.env.STORAGE_HASH_KEYS || 'false').toLowerCase() === 'true'; // key by sha256
+const STORAGE_MIRROR_MAX_ATTEMPTS = Number(process.env.STORAGE_MIRROR_MAX_ATTEMPTS || 10);
+const STORAGE_MIRROR_RETRY_BASE_MS = Number(process.env.STORAGE_MIRROR_RETRY_BASE_MS || 60 * 1000); // doubles per attempt
+const STORAGE_MIRROR_SWEEP_MS = 30 * 1000;
+// Signs /media links; without it links are signed with a per-process key and die on restart
+const MEDIA_SIGNING_SECRET = process.env.MEDIA_SIGNING_SECRET || '';
+const MEDIA_LINK_TTL_SECS = Number(process.env.MEDIA_LINK_TTL_SECS || 15 * 60); // dashboard/API links
+const ZAPIER_MEDIA_LINK_TTL_SECS = Number(process.env.ZAPIER_MEDIA_LINK_TTL_SECS || 7 * 24 * 60 * 60);
+const TRANSCRIPTION_MEDIA_LINK_TTL_SECS = 6 * 60 * 60;
+
 // ------------------------------- AssemblyAI ----------------------------------
 const AAI_API_KEY = process.env.ASSEMBLYAI_API_KEY || process.env.ASSEMBLYAI_API_KEY || '';
 // Optional: secret to verify webhooks (Bearer or HMAC)
 const AAI_WEBHOOK_SECRET = process.env.ASSEMBLYAI_WEBHOOK_SECRET || '';
+// Recordings are dual channel: transcribe each channel on its own instead of diarizing the mix
+const AAI_MULTICHANNEL = String(process.env.AAI_MULTICHANNEL || 'true').toLowerCase() === 'true';
+const TRANSCRIPT_CALLER_CHANNEL = String(process.env.TRANSCRIPT_CALLER_CHANNEL || '1');
 
-function aaiEnabled() {
-  return !!AAI_API_KEY;
-}
+
+// ------------------------------ Transcription --------------------------------
+// assemblyai | local | fake | none; AssemblyAI when its key is set, otherwise off
+const TRANSCRIPTION_PROVIDER = (process.env.TRANSCRIPTION_PROVIDER || (AAI_API_KEY ? 'assemblyai' : 'none')).toLowerCase();
+// e.g. "whisper-cli -m /models/ggml-base.en.bin -f {audio} -oj -of {out}"
+const TRANSCRIBE_LOCAL_CMD = process.env.TRANSCRIBE_LOCAL_CMD || '';
+const TRANSCRIBE_LOCAL_TIMEOUT_MS = Number(process.env.TRANSCRIBE_LOCAL_TIMEOUT_MS || 15 * 60 * 1000);
+const TRANSCRIPTION_MAX_ATTEMPTS = Number(process.env.TRANSCRIPTION_MAX_ATTEMPTS || 5);
+const TRANSCRIPTION_RETRY_BASE_MS = Number(process.env.TRANSCRIPTION_RETRY_BASE_MS || 60 * 1000); // doubles per attempt
+const TRANSCRIPTION_POLL_MS = Number(process.env.TRANSCRIPTION_POLL_MS || 5000);
+const TRANSCRIPTION_POLL_LIMIT = Number(process.env.TRANSCRIPTION_POLL_LIMIT || 60); // then retry later
+const TRANSCRIPTION_SWEEP_MS = 30 * 1000;
+
+// ---------------------------------- Auth -------------------------------------
+const SESSION_TTL_HOURS = Number(process.env.SESSION_TTL_HOURS || 12);
+const SESSION_COOKIE_SECURE = String(process.env.SESSION_COOKIE_SECURE || WEBHOOK_BASE_URL.startsWith('https://')).toLowerCase() === 'true';
+const ADMIN_USERNAME = (process.env.ADMIN_USERNAME || '').trim(); // creates the first admin when there are no users
+const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || '';
+const MIN_PASSWORD_LENGTH = 10;
+const LOGIN_MAX_FAILURES = 5;
+const LOGIN_LOCKOUT_MS = 15 * 60 * 1000;
 
 // --------------------------- Zapier (Airtable) --------------------------------
 const ZAPIER_WEBHOOK_URL = process.env.ZAPIER_WEBHOOK_URL || '';
+const ZAPIER_MAX_ATTEMPTS = Number(process.env.ZAPIER_MAX_ATTEMPTS || 8);
+const ZAPIER_RETRY_BASE_MS = Number(process.env.ZAPIER_RETRY_BASE_MS || 30000);
+const ZAPIER_RETRY_MAX_MS = Number(process.env.ZAPIER_RETRY_MAX_MS || 6 * 60 * 60 * 1000);
+const ZAPIER_OUTBOX_POLL_MS = Number(process.env.ZAPIER_OUTBOX_POLL_MS || 15000);
+const ZAPIER_TRANSCRIPT_WAIT_MS = Number(process.env.ZAPIER_TRANSCRIPT_WAIT_MS || 15 * 60 * 1000); // send without transcript after this
+
+// --------------------------- Outbound webhooks --------------------------------
+const OUTBOUND_WEBHOOK_MAX_ATTEMPTS = Number(process.env.OUTBOUND_WEBHOOK_MAX_ATTEMPTS || 8);
+const OUTBOUND_WEBHOOK_RETRY_BASE_MS = Number(process.env.OUTBOUND_WEBHOOK_RETRY_BASE_MS || 30000);
+const OUTBOUND_WEBHOOK_RETRY_MAX_MS = Number(process.env.OUTBOUND_WEBHOOK_RETRY_MAX_MS || 6 * 60 * 60 * 1000);
+const OUTBOUND_WEBHOOK_POLL_MS = Number(process.env.OUTBOUND_WEBHOOK_POLL_MS || 15000);
+const OUTBOUND_WEBHOOK_TIMEOUT_MS = 15000;
+const OUTBOUND_WEBHOOK_MEDIA_LINK_TTL_SECS = Number(process.env.OUTBOUND_WEBHOOK_MEDIA_LINK_TTL_SECS || 7 * 24 * 60 * 60);
 
 // --------------------------- Database (SQLite) --------------------------------
 class DatabaseQueue {
@@ -110,49 +182,44 @@ const dbGet = (sql, params = []) =>
     db.get(sql, params, (err, row) => err ? rej(err) : res(row));
   }));
 
+// Schema lives in migrations/; see migrate.js. Throws if the database is newer than this build.
 async function initDatabase() {
-  await dbRun(`
-    CREATE TABLE IF NOT EXISTS calls (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      call_id TEXT UNIQUE,
-      direction TEXT,
-      from_number TEXT,
-      to_number TEXT,
-      status TEXT,
-      start_time DATETIME,
-      end_time DATETIME,
-      duration INTEGER,
-      recording_url TEXT,
-      transcript TEXT,
-      transcript_url TEXT,
-      call_type TEXT,
-      customer_info TEXT,
-      contractor_info TEXT,
-      notes TEXT,
-      customer_zip_code TEXT,
-      customer_name TEXT,
-      lead_quality TEXT,
-      zapier_sent BOOLEAN DEFAULT FALSE,
-      zapier_sent_at DATETIME,
-      pending_human_call_id TEXT,
-      linked_customer_call_id TEXT,
-      human_dial_started_at DATETIME,
-      human_answered_at DATETIME,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )
-  `);
-  await dbRun(`CREATE INDEX IF NOT EXISTS idx_calls_call_id ON calls(call_id)`);
-  await dbRun(`CREATE INDEX IF NOT EXISTS idx_calls_pending_human ON calls(pending_human_call_id)`);
-  await dbRun(`CREATE INDEX IF NOT EXISTS idx_calls_linked_customer ON calls(linked_customer_call_id)`);
+  const applied = await migrate({ run: dbRun, get: dbGet, all: dbAll });
+  if (applied.length) console.log(`DB: applied ${applied.length} migration(s): ${applied.join(', ')}`);
   const count = await dbGet('SELECT COUNT(*) as count FROM calls');
   console.log('Existing calls in DB:', count?.count || 0);
 }
 
+// Call status state machine. Webhooks arrive late and out of order, so a status
+// only ever moves along these edges; anything else (e.g. answered after completed)
+// is ignored by upsertCall.
+const CALL_STATUS_TRANSITIONS = {
+  initiated: ['answered', 'completed'],
+  answered: ['completed'],
+  completed: []
+};
+
+function canTransitionStatus(from, to) {
+  if (!to) return false;
+  if (!from) return true;
+  return (CALL_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+// SQL form of canTransitionStatus for use inside ON CONFLICT ... DO UPDATE
+function statusTransitionSql(current, next) {
+  const edges = Object.entries(CALL_STATUS_TRANSITIONS)
+    .filter(([, to]) => to.length)
+    .map(([from, to]) => `(${current} = '${from}' AND ${next} IN (${to.map(t => `'${t}'`).join(', ')}))`);
+  return `CASE WHEN ${next} IS NOT NULL AND (${current} IS NULL OR ${edges.join(' OR ')}) THEN ${next} ELSE ${current} END`;
+}
+
 // upsert helpers
 async function upsertCall(obj) {
   const cols = Object.keys(obj);
   const placeholders = cols.map(() => '?').join(', ');
-  const updates = cols.filter(c => c !== 'call_id').map(c => `${c}=COALESCE(excluded.${c}, ${c})`).join(', ');
+  const updates = cols.filter(c => c !== 'call_id').map(c =>
+    c === 'status' ? `status=${statusTransitionSql('status', 'excluded.status')}` : `${c}=COALESCE(excluded.${c}, ${c})`
+  ).join(', ');
   const sql = `INSERT INTO calls (${cols.join(', ')}) VALUES (${placeholders})
                ON CONFLICT(call_id) DO UPDATE SET ${updates}`;
   return dbRun(sql, cols.map(c => obj[c]));
@@ -168,841 +235,5207 @@ async function upsertFields(call_id, fields) {
   return upsertCall({ call_id, ...fields }); 
 }
 
+// upsertCall's COALESCE can't null a column out; use this to clear fields explicitly
+async function clearFields(call_id, cols) {
+  return dbRun(`UPDATE calls SET ${cols.map(c => `${c} = NULL`).join(', ')} WHERE call_id = ?`, [call_id]);
+}
+
+// ------------------------------ Call events ----------------------------------
+// Append-only history of a call: every Telnyx webhook, IVR step, rep dial, bridge,
+// voicemail, transcription attempt and integration delivery, as call_events rows typed
+// "<area>.<what>" (telnyx.call.hangup, ivr.input, transfer.dial, zapier.failed, ...).
+// upsertCall keeps only the latest value of a column; this keeps the whole story.
+// Never throws - a missing history row isn't worth failing the call over.
+async function logCallEvent(callId, type, details = null) {
+  if (!callId) return;
+  try {
+    await dbRun('INSERT INTO call_events (call_id, type, details, created_at) VALUES (?, ?, ?, ?)',
+      [callId, type, details ? JSON.stringify(details) : null, new Date().toISOString()]);
+  } catch (e) {
+    console.error(`logCallEvent ${type} error:`, e);
+  }
+}
+
+// The parts of a Telnyx webhook payload worth keeping
+const TELNYX_EVENT_FIELDS = ['direction', 'from', 'to', 'state', 'status', 'digits', 'hangup_cause', 'hangup_source',
+  'sip_hangup_cause', 'recording_id', 'conference_id'];
+function telnyxEventDetails(data, clientState) {
+  const p = data?.payload || data || {};
+  const details = {};
+  for (const f of TELNYX_EVENT_FIELDS) if (p[f] !== undefined && p[f] !== null && p[f] !== '') details[f] = p[f];
+  if (clientState) details.client_state = clientState;
+  return Object.keys(details).length ? details : null;
+}
+
 // ------------------------------- Utilities -----------------------------------
 function waitMs(ms) { return new Promise(r => setTimeout(r, ms)); }
 function b64(json) { return Buffer.from(JSON.stringify(json), 'utf8').toString('base64'); }
 function parseB64(s) { try { return JSON.parse(Buffer.from(s || '', 'base64').toString('utf8')); } catch { return null; } }
 function safeKeySegment(s) { return String(s || '').replace(/[^\w\-.:]/g, '_'); }
 
+// Loose E.164 normalisation for numbers typed into the dashboard (US default)
+function normalizePhone(s) {
+  const raw = String(s || '').trim();
+  const digits = raw.replace(/\D/g, '');
+  if (raw.startsWith('+') && digits.length >= 8 && digits.length <= 15) return `+${digits}`;
+  if (digits.length === 10) return `+1${digits}`;
+  if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+  return null;
+}
+
 // ------------------------- Telnyx Call Helpers --------------------------------
-async function playbackAudio(callId, audioUrl) {
+async function playbackAudio(callId, audioUrl, clientState) {
   const r = await fetch(`https://api.telnyx.com/v2/calls/${callId}/actions/playback_start`, {
-    method: 'POST', headers: telnyxHeaders(), body: JSON.stringify({ audio_url: audioUrl })
+    method: 'POST', headers: telnyxHeaders(),
+    body: JSON.stringify({ audio_url: audioUrl, ...(clientState ? { client_state: b64(clientState) } : {}) })
   });
   if (!r.ok) console.error('playback_start failed:', await r.text());
 }
 
-async function speakToCall(callId, message) {
+async function withBrand(callId, text) {
+  return String(text || '').includes('{brand}') ? text.replaceAll('{brand}', await brandForCall(callId)) : text;
+}
+
+async function speakToCall(callId, message, clientState) {
   const r = await fetch(`https://api.telnyx.com/v2/calls/${callId}/actions/speak`, {
     method: 'POST', headers: telnyxHeaders(),
-    body: JSON.stringify({ payload: message, voice: 'female', language: 'en-US' })
+    body: JSON.stringify({
+      payload: await withBrand(callId, message), voice: 'female', language: 'en-US',
+      ...(clientState ? { client_state: b64(clientState) } : {})
+    })
   });
   if (!r.ok) console.error('speak failed:', await r.text());
 }
 
-async function gatherUsingSpeak(callId, payload, { min = 1, max = 1, timeoutMs = 12000, term = '#' } = {}) {
+async function gatherUsingSpeak(callId, payload, { min = 1, max = 1, timeoutMs = 12000, term = '#', clientState } = {}) {
   const r = await fetch(`https://api.telnyx.com/v2/calls/${callId}/actions/gather_using_speak`, {
     method: 'POST', headers: telnyxHeaders(),
     body: JSON.stringify({
-      payload, voice: 'female', language: 'en-US',
-      minimum_digits: min, maximum_digits: max, timeout_millis: timeoutMs, terminating_digit: term
+      payload: await withBrand(callId, payload), voice: 'female', language: 'en-US',
+      minimum_digits: min, maximum_digits: max, timeout_millis: timeoutMs, terminating_digit: term,
+      ...(clientState ? { client_state: b64(clientState) } : {})
     })
   });
   if (!r.ok) console.error(`gather_using_speak failed:`, await r.text());
 }
 
-async function gatherUsingAudio(callId, audioUrl, { min = 1, max = 1, timeoutMs = 12000, term = '#' } = {}) {
+async function gatherUsingAudio(callId, audioUrl, { min = 1, max = 1, timeoutMs = 12000, term = '#', clientState } = {}) {
   const r = await fetch(`https://api.telnyx.com/v2/calls/${callId}/actions/gather_using_audio`, {
     method: 'POST', headers: telnyxHeaders(),
-    body: JSON.stringify({ audio_url: audioUrl, minimum_digits: min, maximum_digits: max, timeout_millis: timeoutMs, terminating_digit: term })
+    body: JSON.stringify({
+      audio_url: audioUrl, minimum_digits: min, maximum_digits: max, timeout_millis: timeoutMs, terminating_digit: term,
+      ...(clientState ? { client_state: b64(clientState) } : {})
+    })
   });
   if (!r.ok) console.error('gather_using_audio failed:', await r.text());
 }
 
-async function playIVRMenu(callId) {
-  if (USE_RECORDED_PROMPTS && MENU_AUDIO_URL) {
-    await gatherUsingAudio(callId, MENU_AUDIO_URL, { min: 1, max: 1, timeoutMs: 12000, term: '#' });
-  } else {
-    const menuText = "Thanks for calling our flood and water damage restoration team. " +
-      "Press 1 to be connected to a representative now. " +
-      "Press 2 to leave details and we'll call you back. " +
-      "You can also press 0 to reach a representative.";
-    await gatherUsingSpeak(callId, menuText, { min: 1, max: 1, timeoutMs: 12000, term: '#' });
+async function hangupCall(callId) {
+  try {
+    const r = await fetch(`https://api.telnyx.com/v2/calls/${callId}/actions/hangup`, { method: 'POST', headers: telnyxHeaders() });
+    if (!r.ok) console.error('hangup failed:', await r.text());
+  } catch (e) {
+    console.error('hangup error:', e);
   }
 }
 
-async function answerAndIntro(callId) {
+async function startRecording(callId) {
+  // Dual channels so agents/callers are separated
+  await fetch(`https://api.telnyx.com/v2/calls/${callId}/actions/record_start`, {
+    method: 'POST', headers: telnyxHeaders(), body: JSON.stringify({ format: 'mp3', channels: 'dual' })
+  }).catch((e) => console.error('record_start failed:', e));
+}
+
+// Place an outbound leg from our Telnyx number. Returns the new call_control_id or null.
+async function dialOutbound(to, clientState, { from = TELNYX_PHONE_NUMBER, timeoutSecs = 30 } = {}) {
+  const resp = await fetch('https://api.telnyx.com/v2/calls', {
+    method: 'POST',
+    headers: telnyxHeaders(),
+    body: JSON.stringify({
+      to,
+      from,
+      connection_id: TELNYX_CONNECTION_ID,
+      webhook_url: `${WEBHOOK_BASE_URL}/webhooks/calls`,
+      client_state: b64(clientState),
+      machine_detection: 'disabled',
+      timeout_secs: timeoutSecs
+    })
+  });
+  if (!resp.ok) {
+    console.error(`Failed to dial ${to}:`, await resp.text());
+    return null;
+  }
+  const json = await resp.json();
+  return json?.data?.call_control_id || null;
+}
+
+async function answerAndIntro(callId, schedule = { open: true }, line = null) {
   try {
     const answer = await fetch(`https://api.telnyx.com/v2/calls/${callId}/actions/answer`, {
       method: 'POST', headers: telnyxHeaders(), body: JSON.stringify({})
     });
     if (!answer.ok) { console.error('Failed to answer:', await answer.text()); return; }
 
-    // Start recording (dual channels so agents/callers separated)
-    await fetch(`https://api.telnyx.com/v2/calls/${callId}/actions/record_start`, {
-      method: 'POST', headers: telnyxHeaders(), body: JSON.stringify({ format: 'mp3', channels: 'dual' })
-    }).catch((e) => console.error('record_start failed:', e));
+    await startRecording(callId);
 
-    if (USE_RECORDED_PROMPTS && GREETING_AUDIO_URL) {
-      await playbackAudio(callId, GREETING_AUDIO_URL);
+    const greeting = line?.greeting_audio_url || GREETING_AUDIO_URL;
+    if (USE_RECORDED_PROMPTS && greeting) {
+      await playbackAudio(callId, greeting);
       await waitMs(400);
     }
-    await playIVRMenu(callId);
+    if (!schedule.open) { await routeAfterHours(callId, schedule); return; }
+    await startIvrFlow(callId, line?.ivr_flow && ivrFlows.has(line.ivr_flow) ? line.ivr_flow : activeIvrFlowName);
   } catch (e) {
     console.error('answerAndIntro error:', e);
   }
 }
 
-// ---------------------- Spaces: mirror Telnyx recording ----------------------
-async function mirrorRecordingToSpaces(call_id, telnyxUrl) {
-  if (!SPACES_BUCKET || !SPACES_CDN_BASE) return telnyxUrl;
-  try {
-    const resp = await fetch(telnyxUrl);
-    if (!resp.ok) throw new Error(`download ${resp.status}`);
-    const buf = Buffer.from(await resp.arrayBuffer());
-    const key = `recordings/${safeKeySegment(call_id)}.mp3`;
-    await S3.send(new PutObjectCommand({
-      Bucket: SPACES_BUCKET,
-      Key: key,
-      Body: buf,
-      ContentType: 'audio/mpeg',
-      ACL: 'public-read',
-      CacheControl: 'public, max-age=31536000, immutable'
-    }));
-    return `${SPACES_CDN_BASE.replace(/\/+$/,'')}/${key}`;
-  } catch (e) {
-    console.error('mirrorRecordingToSpaces error:', e);
-    return telnyxUrl;
-  }
-}
+// -------------------------------- IVR flows -----------------------------------
+// Menus are declarative flows instead of code. A flow is JSON:
+//   { "start": "main", "nodes": { "<id>": { "type": ..., ... } } }
+// Node types:
+//   prompt    { prompt, next }                       play something, then go to `next`
+//   gather    { prompt, options: { "1": id }, max_digits, min_digits, timeout_ms,
+//               max_retries, invalid_prompt, timeout_prompt, on_timeout, on_max_retries }
+//   zip       { prompt, next, out_of_area?, max_retries, invalid_prompt, timeout_ms,
+//               on_max_retries }                     collect a 5-digit ZIP, read it back, check the service area
+//   transfer  { prompt?, group? }                    ring a rep group (connectToHuman)
+//   voicemail { prompt? }                            voicemail instructions
+//   submenu   { flow }                               continue at the start of another flow
+//   hangup    { prompt? }                            say goodbye and hang up
+// A prompt is { text } for TTS or { audio_url } for a recording (audio wins if both are set).
+// "{brand}" in text is replaced with the brand of the number the caller dialed.
+//
+// Flows come from the built-in default, IVR_FLOW_FILE and the ivr_flows table (later
+// sources override earlier ones by name) and are hot-reloaded through the admin API.
+// The caller's position is kept in calls.ivr_state; each step gets a number that rides
+// along in client_state so stale speak/gather events from an earlier step are ignored.
+const IVR_NODE_TYPES = ['prompt', 'gather', 'zip', 'transfer', 'voicemail', 'submenu', 'hangup'];
+const ivrFlows = new Map(); // name -> { name, source, definition, version, updated_at }
+let activeIvrFlowName = 'default';
 
-// ---------------------- AssemblyAI: store transcript -------------------------
-async function storeTranscript(call_id, transcriptId, transcriptText) {
-  // Minimal Spaces upload: just a tiny .txt so Airtable has a link
-  let transcriptUrl = null;
-  try {
-    if (SPACES_BUCKET && SPACES_CDN_BASE) {
-      const key = `transcripts/${safeKeySegment(call_id)}.txt`;
-      await S3.send(new PutObjectCommand({
-        Bucket: SPACES_BUCKET,
-        Key: key,
-        Body: Buffer.from(transcriptText || '', 'utf8'),
-        ContentType: 'text/plain; charset=utf-8',
-        ACL: 'public-read',
-        CacheControl: 'public, max-age=31536000'
-      }));
-      transcriptUrl = `${SPACES_CDN_BASE.replace(/\/+$/, '')}/${key}`;
+function defaultIvrFlow() {
+  const menuText = "Press 1 to be connected to a representative now. " +
+    "Press 2 to leave details and we'll call you back. " +
+    "You can also press 0 to reach a representative.";
+  return {
+    start: 'zip',
+    nodes: {
+      zip: {
+        type: 'zip',
+        prompt: { text: "Thanks for calling {brand}. Please enter the five digit ZIP code of the property with the water damage." },
+        next: 'main',
+        max_retries: 2,
+        on_max_retries: 'main'
+      },
+      main: {
+        type: 'gather',
+        prompt: USE_RECORDED_PROMPTS && MENU_AUDIO_URL ? { audio_url: MENU_AUDIO_URL, text: menuText } : { text: menuText },
+        options: { '1': 'representative', '0': 'representative', '2': 'voicemail' },
+        max_digits: 1,
+        timeout_ms: 12000,
+        max_retries: 3,
+        invalid_prompt: { text: "Invalid selection. Please try again." },
+        on_max_retries: 'voicemail'
+      },
+      representative: {
+        type: 'transfer',
+        prompt: { text: "Connecting you now. Please remain on the line while we dial our representative." }
+      },
+      voicemail: {
+        type: 'voicemail',
+        prompt: { text: "Please describe your water or flood damage situation after the beep. Include your address and details of the damage. When you're done, you can simply hang up." }
+      }
     }
-  } catch (e) {
-    console.error('Spaces transcript upload failed:', e);
-  }
-
-  await upsertFields(call_id, {
-    transcript: transcriptText || '',
-    transcript_url: transcriptUrl || null,
-    notes: transcriptId ? `AssemblyAI transcript ${transcriptId}` : null
-  });
+  };
+}
 
-  console.log('📝 Transcript stored for', call_id, 'URL:', transcriptUrl);
+function validatePrompt(prompt, where, errors, { required = false } = {}) {
+  if (prompt === undefined || prompt === null) {
+    if (required) errors.push(`${where}: prompt is required`);
+    return;
+  }
+  if (typeof prompt !== 'object' || Array.isArray(prompt)) { errors.push(`${where}: prompt must be an object`); return; }
+  if (prompt.audio_url !== undefined && !/^https?:\/\//.test(String(prompt.audio_url))) {
+    errors.push(`${where}: audio_url must be an http(s) URL`);
+  }
+  if (prompt.text !== undefined && typeof prompt.text !== 'string') errors.push(`${where}: text must be a string`);
+  if (!prompt.audio_url && !String(prompt.text || '').trim()) errors.push(`${where}: prompt needs text or audio_url`);
+}
 
-  // Send Zapier webhook now that we have both recording AND transcript
-  await sendZapierWithTranscript(call_id);
+function validateIntRange(v, min, max, where, errors) {
+  if (v === undefined) return;
+  if (!Number.isInteger(v) || v < min || v > max) errors.push(`${where} must be an integer from ${min} to ${max}`);
 }
 
-// Optional HMAC verification (AAI-Signature). If the service uses a different scheme,
-// we also accept a simple Bearer secret.
-function verifyAAISignature(rawBody, signatureHeader, secret) {
-  if (!rawBody || !signatureHeader || !secret) return false;
-  try {
-    // Attempt "t=...,v1=..." style (Stripe-like) if present
-    const map = {};
-    signatureHeader.split(',').forEach(p => { const [k, v] = p.split('='); if (k && v) map[k.trim()] = v.trim(); });
-    const payload = map.t ? `${map.t}.${rawBody}` : rawBody;
-    const expected = crypto.createHmac('sha256', secret).update(payload, 'utf8').digest('hex');
-    const provided = map.v1 || signatureHeader;
-    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(provided));
-  } catch {
-    return false;
+// Returns { errors, warnings }; a flow with errors must not be stored or activated
+function validateIvrFlow(def, knownFlows = ivrFlows) {
+  const errors = [];
+  const warnings = [];
+  if (!def || typeof def !== 'object' || Array.isArray(def)) return { errors: ['flow must be a JSON object'], warnings };
+  const nodes = def.nodes;
+  if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes) || !Object.keys(nodes).length) {
+    return { errors: ['flow.nodes must be a non-empty object'], warnings };
   }
-}
+  if (typeof def.start !== 'string' || !nodes[def.start]) errors.push('flow.start must name an existing node');
 
-// Polling fallback if webhook not accepted
-async function pollAAIUntilDone(transcriptId, call_id) {
-  console.log(`🔄 AAI: Starting polling for transcript ${transcriptId}`);
-  for (let i = 0; i < 60; i++) {
-    await waitMs(5000);
-    try {
-      const r = await fetch(`https://api.assemblyai.com/v2/transcript/${encodeURIComponent(transcriptId)}`, {
-        headers: { 'authorization': AAI_API_KEY }
-      });
-      const j = await r.json();
-      console.log(`🔄 AAI: Poll ${i+1}/60 - Status: ${j.status}`);
-      
-      if (j.status === 'completed') {
-        let text = j.text || '';
-        if ((!text || text.trim().length < 5) && Array.isArray(j.utterances)) {
-          text = j.utterances.map(u => {
-            const sp = (typeof u.speaker === 'number') ? `Speaker ${u.speaker}` : (u.speaker || 'Speaker');
-            return `${sp}: ${u.text || ''}`;
-          }).join('\n');
+  const target = (id, where) => {
+    if (typeof id !== 'string' || !nodes[id]) errors.push(`${where} points at unknown node "${id}"`);
+  };
+
+  for (const [id, node] of Object.entries(nodes)) {
+    const at = `nodes.${id}`;
+    if (!node || typeof node !== 'object' || !IVR_NODE_TYPES.includes(node.type)) {
+      errors.push(`${at}.type must be one of: ${IVR_NODE_TYPES.join(', ')}`);
+      continue;
+    }
+    switch (node.type) {
+      case 'prompt':
+        validatePrompt(node.prompt, at, errors, { required: true });
+        target(node.next, `${at}.next`);
+        break;
+      case 'gather': {
+        validatePrompt(node.prompt, at, errors, { required: true });
+        validatePrompt(node.invalid_prompt, `${at}.invalid_prompt`, errors);
+        validatePrompt(node.timeout_prompt, `${at}.timeout_prompt`, errors);
+        validateIntRange(node.max_digits, 1, 16, `${at}.max_digits`, errors);
+        validateIntRange(node.min_digits, 1, 16, `${at}.min_digits`, errors);
+        validateIntRange(node.timeout_ms, 1000, 60000, `${at}.timeout_ms`, errors);
+        validateIntRange(node.max_retries, 0, 10, `${at}.max_retries`, errors);
+        const opts = node.options;
+        if (!opts || typeof opts !== 'object' || Array.isArray(opts) || !Object.keys(opts).length) {
+          errors.push(`${at}.options must map digits to node ids`);
+        } else {
+          for (const [digits, next] of Object.entries(opts)) {
+            if (!/^[0-9*#]{1,16}$/.test(digits)) errors.push(`${at}.options key "${digits}" must be DTMF digits`);
+            target(next, `${at}.options.${digits}`);
+          }
         }
-        await storeTranscript(call_id, transcriptId, text);
-        console.log('✅ AAI transcript stored (poll) for', call_id);
-        return;
-      }
-      if (j.status === 'error') {
-        console.error('AAI polling error:', j.error);
-        await upsertFields(call_id, { notes: `AAI error: ${j.error || 'unknown'}` });
-        return;
+        if (node.on_timeout !== undefined) target(node.on_timeout, `${at}.on_timeout`);
+        if (node.on_max_retries !== undefined) target(node.on_max_retries, `${at}.on_max_retries`);
+        break;
       }
-    } catch (e) {
-      console.error('AAI poll exception:', e);
+      case 'zip':
+        validatePrompt(node.prompt, at, errors, { required: true });
+        validatePrompt(node.invalid_prompt, `${at}.invalid_prompt`, errors);
+        validateIntRange(node.timeout_ms, 1000, 60000, `${at}.timeout_ms`, errors);
+        validateIntRange(node.max_retries, 0, 10, `${at}.max_retries`, errors);
+        target(node.next, `${at}.next`);
+        if (node.out_of_area !== undefined) target(node.out_of_area, `${at}.out_of_area`);
+        if (node.on_max_retries !== undefined) target(node.on_max_retries, `${at}.on_max_retries`);
+        break;
+      case 'transfer':
+        validatePrompt(node.prompt, at, errors);
+        if (node.group !== undefined && (typeof node.group !== 'string' || !node.group)) errors.push(`${at}.group must be a group name`);
+        break;
+      case 'submenu':
+        if (typeof node.flow !== 'string' || !node.flow) errors.push(`${at}.flow must name a flow`);
+        else if (!knownFlows.has(node.flow)) warnings.push(`${at}.flow "${node.flow}" is not loaded; callers will go to voicemail`);
+        break;
+      default:
+        validatePrompt(node.prompt, at, errors);
     }
   }
-  console.error('🔴 AAI: Polling timeout after 300 seconds for', call_id);
-}
 
-// Fixed AssemblyAI create function
-async function createAAIJob(call_id, audioUrl) {
-  if (!aaiEnabled() || !audioUrl) {
-    console.log('AAI: Skipping - not enabled or no audio URL');
-    return null;
+  // prompt -> prompt -> ... must end somewhere that waits for the caller
+  for (const id of Object.keys(nodes)) {
+    const seen = new Set();
+    let cur = id;
+    while (nodes[cur]?.type === 'prompt' && !seen.has(cur)) { seen.add(cur); cur = nodes[cur].next; }
+    if (nodes[cur]?.type === 'prompt') { errors.push(`nodes.${id}: prompt nodes loop forever without input`); break; }
   }
 
-  console.log('🎧 AAI: Creating transcript job for', call_id);
-  console.log('🎧 AAI: Audio URL:', audioUrl);
+  if (!errors.length) {
+    const reachable = new Set();
+    const stack = [def.start];
+    while (stack.length) {
+      const id = stack.pop();
+      if (reachable.has(id) || !nodes[id]) continue;
+      reachable.add(id);
+      const n = nodes[id];
+      [n.next, n.on_timeout, n.on_max_retries, n.out_of_area, ...Object.values(n.options || {})].forEach(x => x && stack.push(x));
+    }
+    for (const id of Object.keys(nodes)) if (!reachable.has(id)) warnings.push(`nodes.${id} is unreachable`);
+  }
+  return { errors, warnings };
+}
 
-  // Always use polling for now to avoid webhook issues
-  const payload = {
-    audio_url: audioUrl,
-    speaker_labels: true,
-    punctuate: true,
-    format_text: true
-  };
+async function loadIvrFlowFile() {
+  if (!IVR_FLOW_FILE) return [];
+  const raw = JSON.parse(await readFile(IVR_FLOW_FILE, 'utf8'));
+  // Either one flow with a "name", or { "flows": { "<name>": flow } }
+  if (raw?.flows && typeof raw.flows === 'object') return Object.entries(raw.flows).map(([name, definition]) => ({ name, definition }));
+  return [{ name: raw?.name || 'default', definition: raw }];
+}
 
-  try {
-    const response = await fetch('https://api.assemblyai.com/v2/transcript', {
-      method: 'POST',
-      headers: {
-        'authorization': AAI_API_KEY,
-        'content-type': 'application/json'
-      },
-      body: JSON.stringify(payload)
-    });
+async function reloadIvrFlows() {
+  const next = new Map();
+  next.set('default', { name: 'default', source: 'builtin', definition: defaultIvrFlow(), version: 0, updated_at: null });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('🔴 AAI: Create failed -', response.status, errorText);
-      await upsertFields(call_id, { notes: `AAI create failed: ${response.status} ${errorText}` });
-      return null;
+  const candidates = [];
+  try {
+    for (const f of await loadIvrFlowFile()) candidates.push({ ...f, source: 'file', version: 0, updated_at: null });
+  } catch (e) {
+    console.error('IVR: could not read IVR_FLOW_FILE:', e.message);
+  }
+  const rows = await dbAll('SELECT * FROM ivr_flows ORDER BY name');
+  for (const r of rows) {
+    try {
+      candidates.push({ name: r.name, source: 'db', definition: JSON.parse(r.definition), version: r.version, updated_at: r.updated_at });
+    } catch (e) {
+      console.error(`IVR: flow "${r.name}" in DB is not valid JSON, skipping`);
     }
+  }
 
-    const result = await response.json();
-    const transcriptId = result.id;
-    
-    if (!transcriptId) {
-      console.error('🔴 AAI: No transcript ID in response:', result);
-      return null;
-    }
+  // Validate against the full name set so submenus can point at each other
+  const names = new Map([...next, ...candidates.map(c => [c.name, c])]);
+  for (const c of candidates) {
+    const { errors } = validateIvrFlow(c.definition, names);
+    if (errors.length) { console.error(`IVR: flow "${c.name}" (${c.source}) is invalid, skipping:`, errors); continue; }
+    next.set(c.name, c);
+  }
 
-    console.log('✅ AAI: Transcript created successfully -', transcriptId);
-    
-    // Start polling
-    pollAAIUntilDone(transcriptId, call_id).catch(e => {
-      console.error('🔴 AAI: Polling error:', e);
-    });
+  const active = rows.find(r => r.is_active)?.name || IVR_ACTIVE_FLOW;
+  ivrFlows.clear();
+  for (const [k, v] of next) ivrFlows.set(k, v);
+  activeIvrFlowName = ivrFlows.has(active) ? active : 'default';
+  if (active !== activeIvrFlowName) console.error(`IVR: active flow "${active}" unavailable, using default`);
+  console.log(`IVR: ${ivrFlows.size} flow(s) loaded, active: ${activeIvrFlowName}`);
+}
 
-    return transcriptId;
-  } catch (error) {
-    console.error('🔴 AAI: Create exception:', error);
-    await upsertFields(call_id, { notes: `AAI exception: ${error.message}` });
-    return null;
-  }
+async function getIvrState(callId) {
+  const row = await dbGet('SELECT ivr_state FROM calls WHERE call_id = ?', [callId]);
+  try { return row?.ivr_state ? JSON.parse(row.ivr_state) : null; } catch { return null; }
 }
 
-// Enhanced Zapier webhook with comprehensive debugging
-async function scheduleZapierWebhook(callId) {
-  try {
-    console.log('📤 ZAPIER: Checking if should send webhook for', callId);
-    
-    const call = await dbGet('SELECT * FROM calls WHERE call_id = ?', [callId]);
-    console.log('📤 ZAPIER: Call data:', {
-      recording_url: !!call?.recording_url,
-      zapier_sent: call?.zapier_sent,
-      direction: call?.direction,
-      call_type: call?.call_type
-    });
+async function setIvrState(callId, state) {
+  await dbRun('UPDATE calls SET ivr_state = ? WHERE call_id = ?', [state ? JSON.stringify(state) : null, callId]);
+}
 
-    const shouldSend =
-      call?.recording_url &&
-      !call?.zapier_sent &&
-      call?.direction === 'inbound';
+async function playPrompt(callId, prompt, clientState) {
+  if (prompt?.audio_url) await playbackAudio(callId, prompt.audio_url, clientState);
+  else await speakToCall(callId, prompt?.text || '', clientState);
+}
 
-    console.log('📤 ZAPIER: Should send?', shouldSend);
-    console.log('📤 ZAPIER: Webhook URL configured?', !!ZAPIER_WEBHOOK_URL);
+async function startIvrFlow(callId, flowName = activeIvrFlowName) {
+  const flow = ivrFlows.get(flowName) || ivrFlows.get('default');
+  await runIvrNode(callId, flow.name, flow.definition.start);
+}
 
-    if (!shouldSend) {
-      console.log('📤 ZAPIER: Skipping - criteria not met');
-      return;
-    }
+async function runIvrNode(callId, flowName, nodeId, { retries = 0 } = {}) {
+  const flow = ivrFlows.get(flowName);
+  const node = flow?.definition.nodes[nodeId];
+  if (!node) {
+    // Flow was edited or removed mid-call
+    console.error(`IVR: node ${flowName}.${nodeId} not found for ${callId}, sending to voicemail`);
+    await logCallEvent(callId, 'ivr.node_missing', { flow: flowName, node: nodeId || null });
+    await setIvrState(callId, null);
+    await routeToVoicemail(callId, null, 'menu');
+    return;
+  }
 
-    if (!ZAPIER_WEBHOOK_URL) {
-      console.log('🔴 ZAPIER: No webhook URL configured - skipping');
-      return;
+  const prev = await getIvrState(callId);
+  const step = (prev?.step || 0) + 1;
+  const state = { flow: flowName, node: nodeId, retries, step, awaiting: null };
+  const cs = { ivr: { step } };
+  console.log(`☎️  IVR: ${callId} → ${flowName}.${nodeId} (${node.type}${retries ? `, retry ${retries}` : ''})`);
+  await logCallEvent(callId, 'ivr.node', { flow: flowName, node: nodeId, type: node.type, retries });
+
+  switch (node.type) {
+    case 'prompt':
+      await setIvrState(callId, { ...state, awaiting: 'prompt' });
+      await playPrompt(callId, node.prompt, cs);
+      break;
+    case 'gather': {
+      await setIvrState(callId, { ...state, awaiting: 'gather' });
+      const opts = {
+        min: node.min_digits || 1,
+        max: node.max_digits || 1,
+        timeoutMs: node.timeout_ms || 12000,
+        term: '#',
+        clientState: cs
+      };
+      if (node.prompt.audio_url) await gatherUsingAudio(callId, node.prompt.audio_url, opts);
+      else await gatherUsingSpeak(callId, node.prompt.text, opts);
+      break;
+    }
+    case 'zip': {
+      await setIvrState(callId, { ...state, awaiting: 'zip' });
+      const opts = { min: 5, max: 5, timeoutMs: node.timeout_ms || 15000, term: '#', clientState: cs };
+      if (node.prompt.audio_url) await gatherUsingAudio(callId, node.prompt.audio_url, opts);
+      else await gatherUsingSpeak(callId, node.prompt.text, opts);
+      break;
+    }
+    case 'transfer':
+      await setIvrState(callId, state);
+      if (node.prompt) await playPrompt(callId, node.prompt);
+      await connectToHuman(callId, { group: node.group });
+      break;
+    case 'voicemail':
+      await setIvrState(callId, state);
+      await routeToVoicemail(callId, node.prompt, 'menu');
+      break;
+    case 'hangup':
+      if (node.prompt) {
+        await setIvrState(callId, { ...state, awaiting: 'hangup' });
+        await playPrompt(callId, node.prompt, cs);
+      } else {
+        await setIvrState(callId, state);
+        await hangupCall(callId);
+      }
+      break;
+    case 'submenu': {
+      const sub = ivrFlows.get(node.flow);
+      if (!sub) {
+        console.error(`IVR: submenu flow "${node.flow}" not loaded`);
+        await setIvrState(callId, state);
+        await routeToVoicemail(callId, null, 'menu');
+        break;
+      }
+      await setIvrState(callId, state);
+      await runIvrNode(callId, sub.name, sub.definition.start);
+      break;
     }
+  }
+}
 
-    console.log('📤 ZAPIER: Scheduling webhook in 3 seconds... (will wait for transcript)');
-    // Note: We'll send the webhook when transcript completes instead
-    // This ensures both recording AND transcript URLs are available
-  } catch (e) {
-    console.error('scheduleZapierWebhook error:', e);
+// The IVR step this event belongs to, or null if the event is stale / not ours
+async function currentIvrStep(callId, clientState, awaiting) {
+  const step = clientState?.ivr?.step;
+  if (!step) return null;
+  const state = await getIvrState(callId);
+  if (!state || state.step !== step || state.awaiting !== awaiting) return null;
+  return state;
+}
+
+// speak.ended / playback.ended for a prompt, retry notice or goodbye
+async function onIvrPromptEnded(callId, clientState) {
+  for (const awaiting of ['prompt', 'retry', 'hangup']) {
+    const state = await currentIvrStep(callId, clientState, awaiting);
+    if (!state) continue;
+    const node = ivrFlows.get(state.flow)?.definition.nodes[state.node];
+    if (awaiting === 'prompt') await runIvrNode(callId, state.flow, node?.next);
+    if (awaiting === 'retry') await runIvrNode(callId, state.flow, state.node, { retries: state.retries });
+    if (awaiting === 'hangup') await hangupCall(callId);
+    return true;
   }
+  return false;
 }
 
-// New function to send webhook after transcript is ready
-async function sendZapierWithTranscript(callId) {
-  try {
-    console.log('📤 ZAPIER: Sending webhook with transcript for', callId);
-    
-    if (!ZAPIER_WEBHOOK_URL) {
-      console.log('🔴 ZAPIER: No webhook URL configured');
-      return;
-    }
+async function onGatherEnded(data, clientState) {
+  const callId = data.payload?.call_control_id || data.call_control_id;
+  const digits = String(data.payload?.digits ?? data.digits ?? '');
+  const status = data.payload?.status || data.status;
+  let state = null;
+  for (const awaiting of ['gather', 'zip', 'zip_confirm']) {
+    state = await currentIvrStep(callId, clientState, awaiting);
+    if (state) break;
+  }
+  if (!state) return;
 
-    const call = await dbGet('SELECT * FROM calls WHERE call_id = ?', [callId]);
-    if (!call) {
-      console.log('🔴 ZAPIER: No call record found for', callId);
-      return;
-    }
+  const node = ivrFlows.get(state.flow)?.definition.nodes[state.node];
+  if (!node) { await runIvrNode(callId, state.flow, state.node); return; }
+  console.log(`☎️  IVR: gather ended on ${state.flow}.${state.node} status=${status} digits=${digits || '-'}`);
+  await logCallEvent(callId, 'ivr.input', { flow: state.flow, node: state.node, awaiting: state.awaiting, status, digits: digits || null });
+  if (node.type === 'zip') { await onZipGathered(callId, state, node, digits, status); return; }
 
-    // Only send if we haven't sent already and this is an inbound call with recording
-    const shouldSend =
-      call?.recording_url &&
-      !call?.zapier_sent &&
-      call?.direction === 'inbound';
+  if (digits && node.options[digits]) {
+    await runIvrNode(callId, state.flow, node.options[digits]);
+    return;
+  }
+  if (status === 'call_hangup' || status === 'cancelled') return;
 
-    if (!shouldSend) {
-      console.log('📤 ZAPIER: Skipping transcript webhook - already sent or criteria not met');
-      return;
-    }
+  const timedOut = !digits;
+  if (timedOut && node.on_timeout) {
+    await runIvrNode(callId, state.flow, node.on_timeout);
+    return;
+  }
 
-    const payload = {
-      call_id: call.call_id,
-      timestamp: new Date().toISOString(),
-      customer_phone: call.from_number,
-      call_duration_seconds: call.duration || 0,
-      call_start_time: call.start_time,
-      call_end_time: call.end_time,
-      call_type: call.call_type,
-      call_status: call.status,
-      recording_url: call.recording_url,
-      transcript_url: call.transcript_url || null,
-      " Transcript URL": call.transcript_url || null,
-      source: 'Water Damage Restoration Phone System',
-      lead_source: 'Inbound Phone Call',
-      business_phone: call.to_number
-    };
+  const retries = state.retries + 1;
+  if (retries > (node.max_retries ?? 3)) {
+    if (node.on_max_retries) await runIvrNode(callId, state.flow, node.on_max_retries);
+    else await routeToVoicemail(callId, null, 'menu');
+    return;
+  }
+  const notice = timedOut
+    ? (node.timeout_prompt || { text: "Sorry, we didn't get your selection." })
+    : (node.invalid_prompt || { text: "Invalid selection. Please try again." });
+  await setIvrState(callId, { ...state, retries, awaiting: 'retry' });
+  await playPrompt(callId, notice, { ivr: { step: state.step } });
+}
 
-    console.log('📤 ZAPIER: Sending payload with transcript:', JSON.stringify(payload, null, 2));
-    console.log('📤 ZAPIER: Webhook URL:', ZAPIER_WEBHOOK_URL);
+// zip node: first the 5 digits, then a 1/2 confirmation of what we read back
+async function onZipGathered(callId, state, node, digits, status) {
+  if (status === 'call_hangup' || status === 'cancelled') return;
+  const cs = { ivr: { step: state.step } };
 
-    const r = await fetch(ZAPIER_WEBHOOK_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-      timeout: 30000
-    });
+  if (state.awaiting === 'zip' && /^\d{5}$/.test(digits)) {
+    await setIvrState(callId, { ...state, awaiting: 'zip_confirm', zip: digits });
+    await gatherUsingSpeak(callId, `You entered ${digits.split('').join(', ')}. Press 1 if that's correct, or 2 to enter it again.`,
+      { min: 1, max: 1, timeoutMs: 8000, term: '#', clientState: cs });
+    return;
+  }
 
-    const bodyText = await r.text();
-    console.log(`📤 ZAPIER RESP → status: ${r.status}, body: ${bodyText}`);
+  if (state.awaiting === 'zip_confirm' && digits === '1') {
+    const inArea = await zipInServiceArea(state.zip);
+    await upsertFields(callId, { customer_zip_code: state.zip, in_service_area: inArea ? 1 : 0 });
+    console.log(`☎️  IVR: ${callId} ZIP ${state.zip} (${inArea ? 'in' : 'outside'} service area)`);
+    await logCallEvent(callId, 'ivr.zip', { zip: state.zip, in_service_area: inArea });
+    if (inArea) await runIvrNode(callId, state.flow, node.next);
+    else if (node.out_of_area) await runIvrNode(callId, state.flow, node.out_of_area);
+    else await routeOutOfArea(callId, state);
+    return;
+  }
 
-    if (r.ok) {
-      await upsertFields(callId, { zapier_sent: true, zapier_sent_at: new Date().toISOString() });
-      console.log('✅ ZAPIER: Successfully sent with transcript and marked as sent');
-    } else {
-      console.log('🔴 ZAPIER: Failed, will retry in 30 seconds');
-      setTimeout(async () => { await sendZapierWithTranscript(callId); }, 30000);
-    }
-  } catch (e) {
-    console.error(`🔴 ZAPIER ERROR for ${callId}:`, e);
-    setTimeout(async () => { await sendZapierWithTranscript(callId); }, 60000);
+  // Not 5 digits, nothing entered, or the caller wants to re-enter it
+  const retries = state.retries + 1;
+  if (retries > (node.max_retries ?? 2)) {
+    console.log(`☎️  IVR: ${callId} gave up collecting a ZIP`);
+    await logCallEvent(callId, 'ivr.zip_gave_up', { retries: state.retries });
+    await runIvrNode(callId, state.flow, node.on_max_retries || node.next);
+    return;
   }
+  const notice = state.awaiting === 'zip_confirm' && digits
+    ? { text: "Okay, let's try that again." }
+    : (node.invalid_prompt || { text: "Sorry, we need the five digit ZIP code." });
+  await setIvrState(callId, { ...state, retries, awaiting: 'retry', zip: undefined });
+  await playPrompt(callId, notice, cs);
 }
 
-async function sendToZapier(callId) {
-  try {
-    console.log('📤 ZAPIER: Starting webhook send for', callId);
-    
-    if (!ZAPIER_WEBHOOK_URL) {
-      console.log('🔴 ZAPIER: No webhook URL configured');
-      return;
-    }
-
-    const call = await dbGet('SELECT * FROM calls WHERE call_id = ?', [callId]);
-    if (!call) {
-      console.log('🔴 ZAPIER: No call record found for', callId);
-      return;
-    }
+// ------------------------------ Service area ---------------------------------
+// ZIPs we serve, as exact codes or prefixes ("331*"). Saved through the admin API, else
+// SERVICE_AREA_ZIPS; an empty list means we take calls from everywhere. Callers outside
+// it hear a polite message and, if a partner number is set, get transferred there.
+const DEFAULT_OUT_OF_AREA_MESSAGE = "Thank you. Unfortunately that ZIP code is outside our service area.";
 
-    const payload = {
-      call_id: call.call_id,
-      timestamp: new Date().toISOString(),
-      customer_phone: call.from_number,
-      call_duration_seconds: call.duration || 0,
-      call_start_time: call.start_time,
-      call_end_time: call.end_time,
-      call_type: call.call_type,
-      call_status: call.status,
-      recording_url: call.recording_url,
-      transcript_url: call.transcript_url || null,
-      " Transcript URL": call.transcript_url || null,
-      source: 'Water Damage Restoration Phone System',
-      lead_source: 'Inbound Phone Call',
-      business_phone: call.to_number
-    };
+async function loadServiceArea() {
+  const row = await dbGet('SELECT * FROM service_area WHERE id = 1');
+  return {
+    zip_codes: row ? row.zip_codes : SERVICE_AREA_ZIPS,
+    partner_number: row ? row.partner_number : SERVICE_AREA_PARTNER_NUMBER || null,
+    out_of_area_message: row?.out_of_area_message || null,
+    updated_at: row?.updated_at || null
+  };
+}
 
-    console.log('📤 ZAPIER: Sending payload:', JSON.stringify(payload, null, 2));
-    console.log('📤 ZAPIER: Webhook URL:', ZAPIER_WEBHOOK_URL);
+async function zipInServiceArea(zip) {
+  const area = await loadServiceArea();
+  const entries = (normalizeList(area.zip_codes) || '').split(',').filter(Boolean);
+  return !entries.length || zipMatches(entries, zip);
+}
 
-    const r = await fetch(ZAPIER_WEBHOOK_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(payload),
-      timeout: 30000
-    });
+// Out-of-area caller on a zip node without its own out_of_area branch
+async function routeOutOfArea(callId, state) {
+  const area = await loadServiceArea();
+  const message = area.out_of_area_message || DEFAULT_OUT_OF_AREA_MESSAGE;
+  await logCallEvent(callId, 'ivr.out_of_area', { zip: state.zip || null, partner_number: area.partner_number || null });
+  if (area.partner_number) {
+    await setIvrState(callId, { ...state, awaiting: null });
+    await speakToCall(callId, `${message} Please hold while we connect you with a trusted partner who serves your area.`);
+    await connectToHuman(callId, { number: area.partner_number });
+    return;
+  }
+  await setIvrState(callId, { ...state, awaiting: 'hangup' });
+  await playPrompt(callId, { text: `${message} We're sorry we can't help this time. Goodbye.` }, { ivr: { step: state.step } });
+}
 
-    const bodyText = await r.text();
-    console.log(`📤 ZAPIER RESP → status: ${r.status}, body: ${bodyText}`);
+// ------------------------------ Phone numbers --------------------------------
+// Each marketing number can carry its own brand, IVR flow, greeting, rep group, Zapier
+// target and lead source. Inbound calls are matched on the dialed number and tagged with
+// its campaign, brand and lead source when they arrive, so editing a number later
+// doesn't re-attribute old leads. Numbers without a row get the env defaults.
+const phoneNumbers = new Map(); // E.164 -> phone_numbers row
 
-    if (r.ok) {
-      await upsertFields(callId, { zapier_sent: true, zapier_sent_at: new Date().toISOString() });
-      console.log('✅ ZAPIER: Successfully sent and marked as sent');
-    } else {
-      console.log('🔴 ZAPIER: Failed, will retry in 30 seconds');
-      setTimeout(async () => { await sendToZapier(callId); }, 30000);
-    }
-  } catch (e) {
-    console.error(`🔴 ZAPIER ERROR for ${callId}:`, e);
-    setTimeout(async () => { await sendToZapier(callId); }, 60000);
-  }
+async function loadPhoneNumbers() {
+  const rows = await dbAll('SELECT * FROM phone_numbers');
+  phoneNumbers.clear();
+  for (const r of rows) phoneNumbers.set(r.number, r);
 }
 
-// ----------------------------- State (Timers) --------------------------------
-const humanTimeouts = new Map(); // key: customerCallId -> timeoutId
-const pendingBridges = new Map(); // key: humanCallId -> { customerCallId, readyToBridge }
+function numberConfig(number) {
+  const n = normalizePhone(number);
+  const row = n ? phoneNumbers.get(n) : null;
+  return row?.active ? row : null;
+}
 
-function clearHumanTimeout(customerCallId) {
-  const t = humanTimeouts.get(customerCallId);
-  if (t) { clearTimeout(t); humanTimeouts.delete(customerCallId); }
+// {brand} in spoken text becomes the brand of the number the caller dialed
+async function brandForCall(callId) {
+  const call = await dbGet('SELECT brand_name FROM calls WHERE call_id = ?', [callId]);
+  return call?.brand_name || BRAND_NAME;
 }
 
-// ------------------------------- Webhooks ------------------------------------
-app.use(express.json()); // for Telnyx JSON
+function zapierUrlForCall(call) {
+  return numberConfig(call?.to_number)?.zapier_webhook_url || ZAPIER_WEBHOOK_URL;
+}
 
-app.post('/webhooks/calls', async (req, res) => {
-  const { data } = req.body || {};
-  const event = data?.event_type;
-  const callId = data?.payload?.call_control_id || data?.call_control_id;
-  const clientState = parseB64(data?.payload?.client_state || data?.client_state);
+function zapierConfigured() {
+  return !!ZAPIER_WEBHOOK_URL || [...phoneNumbers.values()].some(r => r.active && r.zapier_webhook_url);
+}
 
-  if (event && callId) {
-    console.log(`🌐 WEBHOOK: ${event} | CallID: ${callId}`);
-    if (clientState) console.log(`🌐 CLIENT_STATE:`, JSON.stringify(clientState, null, 2));
+async function phoneNumberFieldsFromBody(body = {}) {
+  const fields = {};
+  const text = (v) => (v === null || v === undefined || String(v).trim() === '') ? null : String(v).trim();
+  for (const [key, col] of [['brandName', 'brand_name'], ['campaign', 'campaign'], ['leadSource', 'lead_source']]) {
+    if (body[key] !== undefined) fields[col] = text(body[key]);
   }
-
-  try {
-    switch (event) {
-      case 'call.initiated': await onCallInitiated(data, clientState); break;
-      case 'call.answered': await onCallAnswered(data, clientState); break;
-      case 'call.hangup': await onCallHangup(data, clientState); break;
-      case 'call.recording.saved': await onRecordingSaved(data, clientState); break;
-      case 'call.dtmf.received': await onDTMF(data); break;
-      case 'call.bridged':
-        console.log(`🌉 TELNYX CONFIRMS BRIDGE for: ${callId}`);
-        break;
-      case 'call.speak.ended': await onSpeakEnded(data, clientState); break;
-      case 'call.speak.started': break;
-      case 'call.gather.ended': break;
-      default: if (event) console.log(`❓ UNHANDLED EVENT: ${event} for ${callId}`);
+  for (const [key, col] of [['greetingAudioUrl', 'greeting_audio_url'], ['zapierWebhookUrl', 'zapier_webhook_url']]) {
+    if (body[key] === undefined) continue;
+    fields[col] = text(body[key]);
+    if (fields[col] && !/^https?:\/\//.test(fields[col])) return { error: `${key} must be an http(s) URL` };
+  }
+  if (body.ivrFlow !== undefined) {
+    fields.ivr_flow = text(body.ivrFlow);
+    if (fields.ivr_flow && !ivrFlows.has(fields.ivr_flow)) return { error: `Unknown IVR flow "${fields.ivr_flow}"` };
+  }
+  if (body.repGroup !== undefined) {
+    fields.rep_group = text(body.repGroup);
+    if (fields.rep_group && !(await dbGet('SELECT 1 FROM rep_groups WHERE name = ?', [fields.rep_group]))) {
+      return { error: `Unknown rep group "${fields.rep_group}"` };
     }
-  } catch (e) {
-    console.error(`WEBHOOK ERROR processing ${event} for ${callId}:`, e);
   }
+  if (body.humanNumber !== undefined) {
+    fields.human_number = body.humanNumber ? normalizePhone(body.humanNumber) : null;
+    if (body.humanNumber && !fields.human_number) return { error: 'humanNumber must be a valid phone number' };
+  }
+  if (body.active !== undefined) fields.active = body.active ? 1 : 0;
+  return { fields };
+}
 
-  res.status(200).send('OK');
-});
+// --------------------------------- Storage -----------------------------------
+// Recordings and transcripts go through a storage driver:
+//   put(key, body, { contentType, cacheControl, sha256 })
+//   get(key) → Buffer
+//   stream(key, { start, end }) → readable stream of the (inclusive) byte range
+//   publicUrl(key) → world-readable URL, or null for private objects
+//   uri(key) → stable reference (s3://bucket/key, local:key) for private objects
+// Every mirrored object gets a media_objects row. A copy that fails (download, upload or
+// checksum) leaves the owner on the Telnyx link for now and is retried in the background,
+// re-fetching the Telnyx download URL by recording id once the original has expired.
+const MEDIA_OBJECT_STATES = ['pending', 'stored', 'failed'];
+// Where a stored object's URL is written back to
+const MEDIA_OWNERS = {
+  'call:recording': { table: 'calls', idColumn: 'call_id', urlColumn: 'recording_url' },
+  'call:transcript': { table: 'calls', idColumn: 'call_id', urlColumn: 'transcript_url' },
+  'voicemail:recording': { table: 'voicemails', idColumn: 'id', urlColumn: 'recording_url' },
+  'conference:recording': { table: 'conferences', idColumn: 'id', urlColumn: 'recording_url' }
+};
+let mediaSweepRunning = false;
 
-// AssemblyAI webhook: accept raw body (for HMAC) and tolerate empty/probes
-app.post('/webhooks/assembly', express.raw({ type: '*/*' }), async (req, res) => {
-  try {
-    const rawBuf = Buffer.isBuffer(req.body) ? req.body : Buffer.from(req.body || '');
-    const rawBody = rawBuf.toString('utf8');
-    const len = rawBuf.length;
+const s3StorageDriver = {
+  name: 's3',
+  async put(key, body, { contentType, cacheControl, sha256 }) {
+    await S3.send(new PutObjectCommand({
+      Bucket: SPACES_BUCKET,
+      Key: key,
+      Body: body,
+      ContentType: contentType,
+      ...(STORAGE_PUBLIC ? { ACL: 'public-read', CacheControl: cacheControl } : { ACL: 'private' }),
+      Metadata: { sha256 }
+    }));
+  },
+  async get(key) {
+    const out = await S3.send(new GetObjectCommand({ Bucket: SPACES_BUCKET, Key: key }));
+    return Buffer.from(await out.Body.transformToByteArray());
+  },
+  async stream(key, { start, end } = {}) {
+    const range = start === undefined ? {} : { Range: `bytes=${start}-${end}` };
+    const out = await S3.send(new GetObjectCommand({ Bucket: SPACES_BUCKET, Key: key, ...range }));
+    return out.Body;
+  },
+  publicUrl(key) {
+    return STORAGE_PUBLIC && SPACES_CDN_BASE ? `${SPACES_CDN_BASE.replace(/\/+$/, '')}/${key}` : null;
+  },
+  uri(key) { return `s3://${SPACES_BUCKET}/${key}`; }
+};
 
-    const signatureHeader = req.get('AAI-Signature') || '';
-    const authHeader = req.get('Authorization') || '';
+// Files under STORAGE_LOCAL_DIR; never public, the app serves them
+const localStorageDriver = {
+  name: 'local',
+  path(key) {
+    const root = resolve(STORAGE_LOCAL_DIR);
+    const p = resolve(root, key);
+    if (!p.startsWith(root + sep)) throw new Error(`bad storage key ${key}`);
+    return p;
+  },
+  async put(key, body) {
+    const p = this.path(key);
+    await mkdir(dirname(p), { recursive: true });
+    const tmp = `${p}.${process.pid}.tmp`;
+    await writeFile(tmp, body);
+    await rename(tmp, p);
+  },
+  async get(key) { return readFile(this.path(key)); },
+  async stream(key, { start, end } = {}) { return createReadStream(this.path(key), { start, end }); },
+  publicUrl() { return null; },
+  uri(key) { return `local:${key}`; }
+};
 
-    if (AAI_WEBHOOK_SECRET) {
-      const hmacOK = verifyAAISignature(rawBody, signatureHeader, AAI_WEBHOOK_SECRET);
-      const bearerOK = authHeader === `Bearer ${AAI_WEBHOOK_SECRET}`;
-      if (!hmacOK && !bearerOK) return res.status(401).send('unauthorized');
-    }
+const STORAGE_DRIVERS = { s3: s3StorageDriver, local: localStorageDriver };
 
-    let evt = {};
-    try { evt = rawBody ? JSON.parse(rawBody) : {}; } catch { evt = {}; }
+function storageDriver(name = STORAGE_DRIVER) {
+  return STORAGE_DRIVERS[name] || null;
+}
 
-    const transcriptId = evt?.id || evt?.transcript_id || null;
-    const status = evt?.status || null;
+function sha256Hex(buf) {
+  return crypto.createHash('sha256').update(buf).digest('hex');
+}
 
-    // Prefer metadata call_id; webhook query param is just a safety net
-    let call_id = null;
-    try { call_id = evt?.metadata ? JSON.parse(evt.metadata)?.call_id || null : null; } catch {}
+// With STORAGE_HASH_KEYS, recordings/abc.mp3 is stored as recordings/<sha256>.mp3
+function storageKeyFor(key, sha256) {
+  if (!STORAGE_HASH_KEYS) return key;
+  const dir = key.includes('/') ? key.slice(0, key.lastIndexOf('/') + 1) : '';
+  const ext = key.match(/\.[a-z0-9]+$/i)?.[0] || '';
+  return `${dir}${sha256}${ext}`;
+}
 
-    if (!call_id) {
-      try {
-        const urlCallId = new URL(req.originalUrl, WEBHOOK_BASE_URL || 'https://dummy.local').searchParams.get('call_id');
-        if (urlCallId) call_id = urlCallId;
-      } catch {}
+function mediaObjectUrl(obj) {
+  const driver = storageDriver(obj.storage_driver);
+  return driver.publicUrl(obj.storage_key) || driver.uri(obj.storage_key);
+}
+
+// Telnyx download links expire after a few minutes; ask for a fresh one by recording id
+async function freshTelnyxRecordingUrl(recordingId) {
+  if (!recordingId) return null;
+  const r = await fetch(`https://api.telnyx.com/v2/recordings/${encodeURIComponent(recordingId)}`, { headers: telnyxHeaders() });
+  if (!r.ok) return null;
+  const j = await r.json().catch(() => ({}));
+  return j?.data?.download_urls?.mp3 || null;
+}
+
+async function loadMediaBody(obj, { refresh = false } = {}) {
+  if (obj.kind === 'transcript') {
+    const call = await dbGet('SELECT transcript FROM calls WHERE call_id = ?', [obj.owner_id]);
+    return Buffer.from(call?.transcript || '', 'utf8');
+  }
+  let url = obj.source_url;
+  if (refresh) {
+    const fresh = await freshTelnyxRecordingUrl(obj.source_ref);
+    if (fresh) {
+      url = fresh;
+      await dbRun('UPDATE media_objects SET source_url = ? WHERE id = ?', [fresh, obj.id]);
     }
+  }
+  if (!url) throw new Error('no source URL');
+  const resp = await fetch(url);
+  if (!resp.ok) throw new Error(`download ${resp.status}`);
+  return Buffer.from(await resp.arrayBuffer());
+}
 
-    console.log('🎧 AAI Webhook:', { len, transcriptId, status, hasMetadata: !!evt?.metadata, call_id });
+// Upload, read back and compare hashes, then point the owner row at the stored copy
+async function storeMediaObject(obj, body) {
+  const driver = storageDriver(obj.storage_driver);
+  if (!driver) throw new Error(`unknown storage driver ${obj.storage_driver}`);
+  const sha256 = sha256Hex(body);
+  const key = storageKeyFor(obj.requested_key, sha256);
+  await driver.put(key, body, { contentType: obj.content_type, cacheControl: 'public, max-age=31536000, immutable', sha256 });
+  const readBack = sha256Hex(await driver.get(key));
+  if (readBack !== sha256) throw new Error(`checksum mismatch after upload (${sha256} != ${readBack})`);
 
-    if (!transcriptId) return res.status(200).send('OK'); // ignore probes
+  await dbRun(
+    `UPDATE media_objects SET status = 'stored', storage_key = ?, sha256 = ?, size_bytes = ?, last_error = NULL,
+       next_attempt_at = NULL, stored_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [key, sha256, body.length, obj.id]
+  );
+  const url = mediaObjectUrl({ ...obj, storage_key: key });
+  const owner = MEDIA_OWNERS[`${obj.owner_type}:${obj.kind}`];
+  await dbRun(`UPDATE ${owner.table} SET ${owner.urlColumn} = ? WHERE ${owner.idColumn} = ?`, [url, obj.owner_id]);
+  if (obj.owner_type === 'call') await logCallEvent(obj.owner_id, 'storage.stored', { kind: obj.kind, key, bytes: body.length });
+  return url;
+}
 
-    if (status === 'error') {
-      await upsertFields(call_id || transcriptId, { notes: `AAI error: ${evt.error || 'unknown'}` });
-      return res.status(200).send('OK');
-    }
-    if (status !== 'completed') return res.status(200).send('OK');
+async function failMediaObject(obj, error) {
+  const attempts = obj.attempts;
+  const dead = attempts >= STORAGE_MIRROR_MAX_ATTEMPTS;
+  const next = new Date(Date.now() + Math.min(STORAGE_MIRROR_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), 6 * 60 * 60 * 1000)).toISOString();
+  await dbRun(
+    `UPDATE media_objects SET status = ?, last_error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [dead ? 'failed' : 'pending', String(error).slice(0, 500), dead ? null : next, obj.id]
+  );
+  console.error(`🗄️ Media #${obj.id} (${obj.owner_type} ${obj.owner_id} ${obj.kind}) attempt ${attempts} failed: ${error}${dead ? ' - giving up' : `, retry at ${next}`}`);
+  if (obj.owner_type === 'call') {
+    await logCallEvent(obj.owner_id, 'storage.failed', { kind: obj.kind, attempt: attempts, error: String(error).slice(0, 500), next_attempt_at: dead ? null : next });
+  }
+}
 
-    // Fetch full transcript
-    let result;
-    try {
-      const r = await fetch(`https://api.assemblyai.com/v2/transcript/${encodeURIComponent(transcriptId)}`, {
-        headers: { 'authorization': AAI_API_KEY }
-      });
-      result = await r.json();
-      if (!r.ok) throw new Error(result?.error || `GET /transcript/${transcriptId} failed`);
-    } catch (e) {
-      console.error('AAI GET error:', e);
-      await upsertFields(call_id || transcriptId, { notes: `AAI GET error: ${e.message}` });
-      return res.status(200).send('OK');
-    }
+async function attemptMediaObject(obj, body = null) {
+  await dbRun('UPDATE media_objects SET attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [obj.id]);
+  obj = { ...obj, attempts: obj.attempts + 1 };
+  try {
+    return await storeMediaObject(obj, body || await loadMediaBody(obj, { refresh: obj.attempts > 1 }));
+  } catch (e) {
+    await failMediaObject(obj, e.message || e);
+    return null;
+  }
+}
 
-    // Resolve call_id if still missing
-    if (!call_id) {
-      try { call_id = result?.metadata ? JSON.parse(result.metadata)?.call_id || null : null; } catch {}
-    }
-    if (!call_id && result?.audio_url) {
-      const m = String(result.audio_url).match(/recordings\/([^/]+)\.mp3/i);
-      if (m && m[1]) call_id = m[1];
-    }
-    call_id = call_id || String(transcriptId);
+// Copy a recording or transcript into storage. Returns the stored URL, or null when the
+// copy failed and was queued for retry (callers keep the Telnyx link until then).
+async function storeMedia({ ownerType, ownerId, kind, key, contentType, sourceUrl = null, sourceRef = null, body = null }) {
+  const driver = storageDriver();
+  if (!driver) return null;
+  await dbRun(
+    `INSERT INTO media_objects (owner_type, owner_id, kind, storage_driver, requested_key, content_type, source_url, source_ref,
+       status, attempts, next_attempt_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', 0, NULL)
+     ON CONFLICT(owner_type, owner_id, kind) DO UPDATE SET storage_driver = excluded.storage_driver,
+       requested_key = excluded.requested_key, content_type = excluded.content_type, source_url = excluded.source_url,
+       source_ref = excluded.source_ref, status = 'pending', attempts = 0, next_attempt_at = NULL,
+       last_error = NULL, updated_at = CURRENT_TIMESTAMP`,
+    [ownerType, String(ownerId), kind, driver.name, key, contentType, sourceUrl, sourceRef]
+  );
+  const obj = await dbGet('SELECT * FROM media_objects WHERE owner_type = ? AND owner_id = ? AND kind = ?', [ownerType, String(ownerId), kind]);
+  return attemptMediaObject(obj, body);
+}
+
+function mirrorRecording(ownerType, ownerId, telnyxUrl, key, recordingId = null) {
+  if (!telnyxUrl) return Promise.resolve(null);
+  return storeMedia({ ownerType, ownerId, kind: 'recording', key, contentType: 'audio/mpeg', sourceUrl: telnyxUrl, sourceRef: recordingId });
+}
 
-    let text = result?.text || '';
-    if ((!text || text.trim().length < 5) && Array.isArray(result?.utterances)) {
-      text = result.utterances.map(u => {
-        const sp = (typeof u.speaker === 'number') ? `Speaker ${u.speaker}` : (u.speaker || 'Speaker');
-        return `${sp}: ${u.text || ''}`;
-      }).join('\n');
+async function sweepMediaObjects() {
+  if (mediaSweepRunning) return;
+  mediaSweepRunning = true;
+  try {
+    const due = await dbAll(
+      `SELECT * FROM media_objects WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT 10`,
+      [new Date().toISOString()]
+    );
+    for (const obj of due) {
+      const url = await attemptMediaObject(obj);
+      if (url) console.log(`🗄️ Media #${obj.id} re-mirrored to ${url}`);
     }
+  } finally {
+    mediaSweepRunning = false;
+  }
+}
 
-    await storeTranscript(call_id, transcriptId, text || '');
-    console.log('✅ AAI transcript stored for', call_id);
+// The first attempt runs inline with next_attempt_at unset so the sweeper leaves it alone;
+// one cut short by a restart is picked up here
+async function resumeMediaObjects() {
+  const { changes } = await dbRun(
+    `UPDATE media_objects SET next_attempt_at = ? WHERE status = 'pending' AND next_attempt_at IS NULL`,
+    [new Date().toISOString()]
+  );
+  if (changes) console.log(`🗄️ Re-queued ${changes} interrupted media copy(ies)`);
+  setInterval(() => sweepMediaObjects().catch(e => console.error('Media sweep error:', e)), STORAGE_MIRROR_SWEEP_MS);
+  sweepMediaObjects().catch(e => console.error('Media sweep error:', e));
+}
 
-    return res.status(200).send('OK');
-  } catch (e) {
-    console.error('AAI webhook handler error:', e);
-    return res.status(500).send('error');
+// ------------------------------ Media access ---------------------------------
+// Recordings and transcripts are read through /media/:call_id/recording|transcript, and
+// voicemail / conference recordings through /media/voicemail/:id and /media/conference/:id,
+// either by a signed-in user or with a signed link. A link carries expires, by (whom it
+// was minted for, so views land in the audit log under their name) and an HMAC over
+// all of it, so it can be handed to Zapier or a transcription provider and stops
+// working on its own.
+const MEDIA_KINDS = { recording: 'audio/mpeg', transcript: 'text/plain; charset=utf-8' };
+const mediaSigningKey = MEDIA_SIGNING_SECRET || crypto.randomBytes(32).toString('hex');
+
+// subject is the call id, or "<owner type>:<id>" for voicemail and conference recordings
+function mediaSignature(subject, kind, expires, by) {
+  return crypto.createHmac('sha256', mediaSigningKey).update(`${subject}\n${kind}\n${expires}\n${by}`).digest('hex');
+}
+
+// by is "user:<id>", "api_key:<id>" or a system name such as "zapier".
+// Absolute link when WEBHOOK_BASE_URL is known, otherwise relative to this server.
+function signedMediaUrl(callId, kind, ttlSecs = MEDIA_LINK_TTL_SECS, by = 'system') {
+  const expires = Math.floor(Date.now() / 1000) + ttlSecs;
+  const sig = mediaSignature(callId, kind, expires, by);
+  const path = `/media/${encodeURIComponent(callId)}/${kind}?expires=${expires}&by=${encodeURIComponent(by)}&signature=${sig}`;
+  return `${WEBHOOK_BASE_URL.replace(/\/+$/, '')}${path}`;
+}
+
+// ownerType is 'voicemail' or 'conference'
+function signedRecordingUrl(ownerType, id, ttlSecs = MEDIA_LINK_TTL_SECS, by = 'system') {
+  const expires = Math.floor(Date.now() / 1000) + ttlSecs;
+  const sig = mediaSignature(`${ownerType}:${id}`, 'recording', expires, by);
+  const path = `/media/${ownerType}/${encodeURIComponent(id)}?expires=${expires}&by=${encodeURIComponent(by)}&signature=${sig}`;
+  return `${WEBHOOK_BASE_URL.replace(/\/+$/, '')}${path}`;
+}
+
+function mediaSignatureValid(subject, kind, expires, by, signature) {
+  const exp = Number(expires);
+  if (!Number.isInteger(exp) || exp < Date.now() / 1000) return false;
+  const expected = Buffer.from(mediaSignature(subject, kind, exp, String(by || '')), 'hex');
+  const given = Buffer.from(String(signature || ''), 'hex');
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+// Link handed outside (Zapier, webhook subscribers): an expiring /media link once there's
+// a public base URL to put in front of it, otherwise the stored URL only if it is plain
+// http(s) - a local: or s3:// copy is no use to anyone else
+function externalMediaLink(call, kind, ttlSecs, by) {
+  const url = kind === 'recording' ? call.recording_url : call.transcript_url;
+  if (!url) return null;
+  if (WEBHOOK_BASE_URL) return signedMediaUrl(call.call_id, kind, ttlSecs, by);
+  return /^https?:/i.test(url) ? url : null;
+}
+
+function mediaLinkOwner(auth) {
+  return auth ? `${auth.type}:${auth.id}` : 'system';
+}
+
+// Audit actor for a signed link's "by"
+async function mediaLinkActor(by) {
+  const [type, id] = String(by).split(':');
+  if (type === 'user' && id) {
+    const u = await dbGet('SELECT username FROM users WHERE id = ?', [id]);
+    return { type, id, name: u?.username || by };
   }
-});
+  if (type === 'api_key' && id) {
+    const k = await dbGet('SELECT name FROM api_keys WHERE id = ?', [id]);
+    return { type, id, name: k?.name || by };
+  }
+  return { type: 'link', id: null, name: by };
+}
 
-// ------------------------------ Handlers -------------------------------------
-async function onCallInitiated(data, clientState) {
-  const call_id = data.payload?.call_control_id || data.call_control_id;
-  const dir = data.payload?.direction || data.direction; // incoming | outgoing
-  const from_number = data.payload?.from || data.from;
-  const to_number = data.payload?.to || data.to;
-  const start_time = new Date().toISOString();
+// Single "bytes=" range → { start, end } (inclusive); null for no/ignored header, false if unsatisfiable
+function parseByteRange(header, size) {
+  const m = String(header || '').match(/^bytes=(\d*)-(\d*)$/);
+  if (!m || (!m[1] && !m[2])) return null;
+  let start, end;
+  if (!m[1]) {
+    start = Math.max(0, size - Number(m[2]));
+    end = size - 1;
+  } else {
+    start = Number(m[1]);
+    end = m[2] ? Math.min(Number(m[2]), size - 1) : size - 1;
+  }
+  if (start >= size || start > end) return false;
+  return { start, end };
+}
 
-  if (dir === 'incoming') {
-    await upsertCall({
-      call_id, direction: 'inbound', from_number, to_number,
-      status: 'initiated', start_time, call_type: 'customer_inquiry'
-    });
-    await answerAndIntro(call_id);
+// Stream a stored object, honouring Range so the dashboard player can seek
+async function sendMediaObject(req, res, obj, filename) {
+  const driver = storageDriver(obj.storage_driver);
+  const size = obj.size_bytes;
+  const range = parseByteRange(req.get('Range'), size);
+  res.set({
+    'Content-Type': obj.content_type || 'application/octet-stream',
+    'Accept-Ranges': 'bytes',
+    'Cache-Control': 'private, no-store',
+    'Content-Disposition': `${req.query.download === 'true' ? 'attachment' : 'inline'}; filename="${filename}"`
+  });
+  if (range === false) {
+    return res.status(416).set('Content-Range', `bytes */${size}`).end();
+  }
+  if (range) {
+    res.status(206).set({ 'Content-Range': `bytes ${range.start}-${range.end}/${size}`, 'Content-Length': range.end - range.start + 1 });
   } else {
-    // Outbound (human rep)
-    const existing = await dbGet('SELECT * FROM calls WHERE call_id = ?', [call_id]);
-    if (existing) {
-      await dbRun('UPDATE calls SET status = ?, start_time = ?, from_number = ?, to_number = ? WHERE call_id = ?',
-        ['initiated', start_time, from_number, to_number, call_id]);
-    } else {
-      const linked_customer_call_id = clientState?.customer_call_id || null;
-      await upsertCall({
-        call_id, direction: 'outbound', from_number, to_number,
-        status: 'initiated', start_time, call_type: 'human_representative',
-        linked_customer_call_id, human_dial_started_at: start_time
-      });
-    }
+    res.status(200).set('Content-Length', size);
   }
+  if (req.method === 'HEAD') return res.end();
+  const stream = await driver.stream(obj.storage_key, range || {});
+  stream.on('error', (e) => { console.error('Media stream error:', e); res.destroy(e); });
+  stream.pipe(res);
 }
 
-async function onCallAnswered(data, clientState) {
-  const call_id = data.payload?.call_control_id || data.call_control_id;
-  await upsertFields(call_id, { status: 'answered' });
+// ----------------------------- Store transcript ------------------------------
+async function storeTranscript(call_id, transcriptId, transcriptText, utterances = null) {
+  await upsertFields(call_id, { transcript: transcriptText || '' });
 
-  let isHumanLeg = false;
-  let customerCallId = clientState?.customer_call_id || null;
+  // A small .txt so Airtable has a link; storeMedia writes transcript_url
+  let transcriptUrl = null;
+  try {
+    transcriptUrl = await storeMedia({
+      ownerType: 'call', ownerId: call_id, kind: 'transcript', key: `transcripts/${safeKeySegment(call_id)}.txt`,
+      contentType: 'text/plain; charset=utf-8', body: Buffer.from(transcriptText || '', 'utf8')
+    });
+  } catch (e) {
+    console.error('Transcript storage failed:', e);
+  }
 
-  const rec = await dbGet('SELECT * FROM calls WHERE call_id = ?', [call_id]);
-  if (rec?.call_type === 'human_representative') isHumanLeg = true;
-  if (!customerCallId && rec?.linked_customer_call_id) customerCallId = rec.linked_customer_call_id;
+  console.log('📝 Transcript stored for', call_id, 'URL:', transcriptUrl);
 
-  if (isHumanLeg && customerCallId) {
-    await upsertFields(call_id, { human_answered_at: new Date().toISOString() });
-    clearHumanTimeout(customerCallId);
+  let labelled = [];
+  if (Array.isArray(utterances) && utterances.length) {
+    try {
+      const call = await dbGet('SELECT recording_started_at, bridged_at FROM calls WHERE call_id = ?', [call_id]);
+      labelled = labelUtterances(call, utterances);
+      await saveUtterances(call_id, labelled);
+    } catch (e) {
+      console.error('Utterance save error:', e);
+    }
+  }
 
-    const cust = await dbGet('SELECT * FROM calls WHERE call_id = ?', [customerCallId]);
-    if (!cust || cust.status === 'completed') {
-      await speakToCall(call_id, "Sorry, the caller disconnected just now. Thank you.");
-      setTimeout(async () => {
-        try { await fetch(`https://api.telnyx.com/v2/calls/${call_id}/actions/hangup`, { method: 'POST', headers: telnyxHeaders() }); } catch {}
-      }, 2000);
-      return;
+  await emitEvent('transcript.ready', call_id, call => ({
+    transcript: {
+      id: transcriptId,
+      text: transcriptText || '',
+      url: externalMediaLink(call, 'transcript', OUTBOUND_WEBHOOK_MEDIA_LINK_TTL_SECS, 'webhook'),
+      utterances: labelled.length
     }
+  }));
 
-    // Prepare to bridge after greeting
-    pendingBridges.set(call_id, { customerCallId, readyToBridge: true });
+  const byRole = labelled.map(u => ({ speaker: u.role, text: u.text }));
+  try { await extractAndStoreLeadFields(call_id, transcriptText, byRole.length ? byRole : utterances); } catch (e) { console.error('Lead extraction error:', e); }
+  try { await scoreLead(call_id); } catch (e) { console.error('Lead scoring error:', e); }
 
-    try {
-      if (USE_RECORDED_PROMPTS && HUMAN_GREETING_AUDIO_URL) {
-        await playbackAudio(call_id, HUMAN_GREETING_AUDIO_URL);
-      } else {
-        await speakToCall(call_id, "Customer is on the line. Connecting you now.");
-      }
+  // Send Zapier webhook now that we have both recording AND transcript
+  await enqueueZapierDelivery(call_id);
+}
 
-      // Fallback bridge if speak.ended not received
-      setTimeout(async () => {
-        const still = pendingBridges.get(call_id);
-        if (still && still.readyToBridge) {
-          pendingBridges.delete(call_id);
-          await attemptBridge(customerCallId, call_id);
-        }
-      }, Math.max(4000, HUMAN_BRIDGE_GREETING_MS));
-    } catch (err) {
-      console.error('Greeting error:', err);
-      setTimeout(() => attemptBridge(customerCallId, call_id), 2000);
-    }
+// Optional HMAC verification (AAI-Signature). If the service uses a different scheme,
+// we also accept a simple Bearer secret.
+function verifyAAISignature(rawBody, signatureHeader, secret) {
+  if (!rawBody || !signatureHeader || !secret) return false;
+  try {
+    // Attempt "t=...,v1=..." style (Stripe-like) if present
+    const map = {};
+    signatureHeader.split(',').forEach(p => { const [k, v] = p.split('='); if (k && v) map[k.trim()] = v.trim(); });
+    const payload = map.t ? `${map.t}.${rawBody}` : rawBody;
+    const expected = crypto.createHmac('sha256', secret).update(payload, 'utf8').digest('hex');
+    const provided = map.v1 || signatureHeader;
+    return crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(provided));
+  } catch {
+    return false;
   }
 }
 
-async function onSpeakEnded(data, clientState) {
-  const call_id = data?.payload?.call_control_id || data?.call_control_id;
-  const bridgeInfo = pendingBridges.get(call_id);
-  if (bridgeInfo?.readyToBridge) {
-    pendingBridges.delete(call_id);
-    await attemptBridge(bridgeInfo.customerCallId, call_id);
+// Telnyx signs `${telnyx-timestamp}|${rawBody}` with ed25519. Returns null when valid,
+// otherwise a short reason for the log.
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+let telnyxPublicKeyObj = null;
+const seenTelnyxSignatures = new Map(); // signature -> timestamp (secs), pruned past the tolerance window
+
+function telnyxPublicKey() {
+  if (!telnyxPublicKeyObj) {
+    const raw = Buffer.from(TELNYX_PUBLIC_KEY, 'base64');
+    if (raw.length !== 32) throw new Error(`TELNYX_PUBLIC_KEY must decode to 32 bytes, got ${raw.length}`);
+    telnyxPublicKeyObj = crypto.createPublicKey({ key: Buffer.concat([ED25519_SPKI_PREFIX, raw]), format: 'der', type: 'spki' });
   }
+  return telnyxPublicKeyObj;
 }
 
-async function attemptBridge(customerCallId, humanCallId) {
+function verifyTelnyxSignature(rawBody, signatureHeader, timestampHeader) {
+  if (!signatureHeader || !timestampHeader) return 'missing signature headers';
+  if (!rawBody) return 'empty body';
+
+  const ts = Number(timestampHeader);
+  const nowSecs = Math.floor(Date.now() / 1000);
+  if (!Number.isFinite(ts)) return 'malformed timestamp';
+  if (Math.abs(nowSecs - ts) > TELNYX_WEBHOOK_TOLERANCE_SECS) return `stale timestamp (${nowSecs - ts}s skew)`;
+
+  let ok = false;
   try {
-    const custNow = await dbGet('SELECT * FROM calls WHERE call_id = ?', [customerCallId]);
-    if (!custNow || custNow.status === 'completed') {
-      await speakToCall(humanCallId, "Sorry, the caller disconnected. Thank you.");
-      setTimeout(async () => {
-        try { await fetch(`https://api.telnyx.com/v2/calls/${humanCallId}/actions/hangup`, { method: 'POST', headers: telnyxHeaders() }); } catch {}
-      }, 2000);
-      return;
-    }
+    ok = crypto.verify(null, Buffer.from(`${timestampHeader}|${rawBody}`, 'utf8'), telnyxPublicKey(),
+      Buffer.from(signatureHeader, 'base64'));
+  } catch (e) {
+    return `verification error: ${e.message}`;
+  }
+  if (!ok) return 'bad signature';
 
-    const bridge = await fetch(`https://api.telnyx.com/v2/calls/${customerCallId}/actions/bridge`, {
-      method: 'POST', headers: telnyxHeaders(), body: JSON.stringify({ call_control_id: humanCallId })
-    });
+  // Same signed body twice inside the window is a replay
+  for (const [sig, t] of seenTelnyxSignatures) {
+    if (nowSecs - t > TELNYX_WEBHOOK_TOLERANCE_SECS) seenTelnyxSignatures.delete(sig);
+  }
+  if (seenTelnyxSignatures.has(signatureHeader)) return 'replayed signature';
+  seenTelnyxSignatures.set(signatureHeader, ts);
+  return null;
+}
 
-    if (bridge.ok) {
-      await upsertFields(customerCallId, {
-        call_type: 'human_connected',
-        notes: 'Connected to human representative',
-        pending_human_call_id: null
-      });
-      console.log('✅ BRIDGE SUCCESS:', `${customerCallId} <-> ${humanCallId}`);
-    } else {
-      const errorText = await bridge.text();
-      console.error('Bridge failed:', errorText);
-      await speakToCall(humanCallId, "We're having an issue connecting you. Sorry about that.");
-      await speakToCall(customerCallId, "We're having technical difficulties. Please call back in a few minutes.");
-      setTimeout(async () => {
-        try { await fetch(`https://api.telnyx.com/v2/calls/${humanCallId}/actions/hangup`, { method: 'POST', headers: telnyxHeaders() }); } catch {}
-      }, 3000);
+function requireTelnyxSignature(req, res, next) {
+  if (!TELNYX_PUBLIC_KEY) return next();
+  const reason = verifyTelnyxSignature(
+    req.rawBody ? req.rawBody.toString('utf8') : '',
+    req.get('telnyx-signature-ed25519'),
+    req.get('telnyx-timestamp')
+  );
+  if (!reason) return next();
+  console.warn(`🔒 TELNYX WEBHOOK REJECTED (${reason}) from ${req.ip}`);
+  return res.status(401).send('unauthorized');
+}
+
+// ------------------------- Transcription providers ---------------------------
+// Every backend implements the same four calls; results come back in AssemblyAI's shape
+// ({ text, utterances: [{ speaker, channel, start, end, text, confidence }], times in ms })
+// because that's what storeTranscript and labelUtterances already read.
+//   create(job)            → { externalId } to poll later, or { result } when done inline
+//   status(externalId)     → { status: 'processing' | 'completed' | 'error', error? }
+//   result(externalId)     → { text, utterances }
+//   parseWebhook(req)      → { externalId, status, callId? } or null if it isn't for us
+// Jobs live in transcription_jobs, so a provider error or a poll timeout is retried with
+// backoff (resuming the provider's job when it has one) instead of being lost.
+const TRANSCRIPTION_JOB_STATES = ['pending', 'processing', 'completed', 'failed'];
+const transcriptionPolls = new Set(); // job ids with a poll loop running in this process
+let transcriptionSweepRunning = false;
+
+const assemblyAIProvider = {
+  name: 'assemblyai',
+  async create(job) {
+    const r = await fetch('https://api.assemblyai.com/v2/transcript', {
+      method: 'POST',
+      headers: { 'authorization': AAI_API_KEY, 'content-type': 'application/json' },
+      body: JSON.stringify({
+        audio_url: job.audio_url,
+        ...(AAI_MULTICHANNEL ? { multichannel: true } : { speaker_labels: true }),
+        punctuate: true,
+        format_text: true
+      })
+    });
+    const body = await r.json().catch(() => ({}));
+    if (!r.ok || !body.id) throw new Error(`create failed: ${r.status} ${body.error || ''}`.trim());
+    return { externalId: body.id };
+  },
+  async fetchTranscript(externalId) {
+    const r = await fetch(`https://api.assemblyai.com/v2/transcript/${encodeURIComponent(externalId)}`, {
+      headers: { 'authorization': AAI_API_KEY }
+    });
+    const body = await r.json().catch(() => ({}));
+    if (!r.ok) throw new Error(body?.error || `GET /transcript/${externalId} failed: ${r.status}`);
+    return body;
+  },
+  async status(externalId) {
+    const j = await this.fetchTranscript(externalId);
+    if (j.status === 'completed') return { status: 'completed' };
+    if (j.status === 'error') return { status: 'error', error: j.error || 'unknown' };
+    return { status: 'processing' };
+  },
+  async result(externalId) {
+    const j = await this.fetchTranscript(externalId);
+    return { text: j.text || '', utterances: Array.isArray(j.utterances) ? j.utterances : [] };
+  },
+  parseWebhook(req) {
+    const rawBody = req.rawBody ? req.rawBody.toString('utf8') : Buffer.isBuffer(req.body) ? req.body.toString('utf8') : '';
+    if (AAI_WEBHOOK_SECRET) {
+      const hmacOK = verifyAAISignature(rawBody, req.get('AAI-Signature') || '', AAI_WEBHOOK_SECRET);
+      const bearerOK = (req.get('Authorization') || '') === `Bearer ${AAI_WEBHOOK_SECRET}`;
+      if (!hmacOK && !bearerOK) { const e = new Error('unauthorized'); e.status = 401; throw e; }
     }
-  } catch (err) {
-    console.error('attemptBridge exception:', err);
-    try { await speakToCall(humanCallId, "We're having technical difficulties. Sorry about that."); } catch {}
+    let evt = {};
+    try { evt = rawBody ? JSON.parse(rawBody) : (req.body && typeof req.body === 'object' && !Buffer.isBuffer(req.body) ? req.body : {}); } catch {}
+    const externalId = evt?.id || evt?.transcript_id || null;
+    if (!externalId) return null; // probes
+    let callId = null;
+    try { callId = evt?.metadata ? JSON.parse(evt.metadata)?.call_id || null : null; } catch {}
+    callId = callId || req.query.call_id || null;
+    const status = evt.status === 'completed' ? 'completed' : evt.status === 'error' ? 'error' : 'processing';
+    return { externalId, status, callId, error: evt.error };
   }
+};
+
+// Runs a local command (whisper.cpp or anything like it) on CPU. TRANSCRIBE_LOCAL_CMD is
+// split on spaces, no shell; {audio} becomes the downloaded recording and {out} an output
+// prefix. The command must write {out}.json as whisper.cpp -oj does
+// ({ transcription: [{ offsets: { from, to }, text }] }) or openai-whisper style
+// ({ text, segments: [{ start, end, text }] } in seconds). It hears the mixed recording,
+// so utterances carry no channel and roles are guessed from the words.
+const localProvider = {
+  name: 'local',
+  async create(job) {
+    if (!TRANSCRIBE_LOCAL_CMD) throw new Error('TRANSCRIBE_LOCAL_CMD is not set');
+    const base = join(tmpdir(), `transcribe-${job.id}-${Date.now()}`);
+    const audioPath = `${base}.mp3`;
+    try {
+      const resp = await fetch(job.audio_url);
+      if (!resp.ok) throw new Error(`download ${resp.status}`);
+      await writeFile(audioPath, Buffer.from(await resp.arrayBuffer()));
+      const [cmd, ...args] = TRANSCRIBE_LOCAL_CMD.trim().split(/\s+/)
+        .map(a => a.replaceAll('{audio}', audioPath).replaceAll('{out}', base));
+      await execFileAsync(cmd, args, { timeout: TRANSCRIBE_LOCAL_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024 });
+      return { result: this.normalize(JSON.parse(await readFile(`${base}.json`, 'utf8'))) };
+    } finally {
+      await unlink(audioPath).catch(() => {});
+      await unlink(`${base}.json`).catch(() => {});
+    }
+  },
+  normalize(out) {
+    const segments = Array.isArray(out.transcription)
+      ? out.transcription.map(s => ({ start: s.offsets?.from, end: s.offsets?.to, text: s.text }))
+      : (out.segments || []).map(s => ({ start: Math.round(s.start * 1000), end: Math.round(s.end * 1000), text: s.text }));
+    const utterances = segments
+      .map(s => ({ speaker: '?', start: s.start, end: s.end, text: String(s.text || '').trim() }))
+      .filter(u => u.text);
+    return { text: out.text || utterances.map(u => u.text).join(' '), utterances };
+  },
+  // Finishes inside create(); nothing to poll or receive
+  async status() { return { status: 'error', error: 'local jobs finish inline' }; },
+  async result() { throw new Error('local jobs finish inline'); },
+  parseWebhook() { return null; }
+};
+
+// Same answer for the same call every time. Audio URLs containing "fail" error out so
+// the retry path can be exercised.
+const fakeProvider = {
+  name: 'fake',
+  async create(job) {
+    if (String(job.audio_url).includes('fail')) throw new Error('fake provider failure');
+    return { externalId: `fake-${job.call_id}` };
+  },
+  async status() { return { status: 'completed' }; },
+  async result(externalId) {
+    const utterances = [
+      { channel: '2', speaker: '2', start: 0, end: 3000, text: 'Thanks for calling our flood and water damage restoration team.' },
+      { channel: '1', speaker: '1', start: 3500, end: 9000, text: 'Hi, my name is Test Caller. We have standing water from a burst pipe at 100 Main Street.' },
+      { channel: '1', speaker: '1', start: 9500, end: 12000, text: `Please call me back at 305-555-0100. Reference ${externalId}.` }
+    ];
+    return { text: utterances.map(u => u.text).join(' '), utterances };
+  },
+  parseWebhook() { return null; }
+};
+
+const TRANSCRIPTION_PROVIDERS = { assemblyai: assemblyAIProvider, local: localProvider, fake: fakeProvider };
+
+function transcriptionProvider(name = TRANSCRIPTION_PROVIDER) {
+  return TRANSCRIPTION_PROVIDERS[name] || null;
 }
 
-async function onCallHangup(data, clientState) {
-  const call_id = data.payload?.call_control_id || data.call_control_id;
-  const end_time = new Date().toISOString();
+function transcriptionEnabled() {
+  return !!transcriptionProvider();
+}
 
-  const wasPendingBridge = pendingBridges.has(call_id);
-  if (wasPendingBridge) pendingBridges.delete(call_id);
+function transcriptionBackoffMs(attempts) {
+  return Math.min(TRANSCRIPTION_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1), 6 * 60 * 60 * 1000);
+}
 
-  const rec = await dbGet('SELECT * FROM calls WHERE call_id = ?', [call_id]);
-  const wasCustomer = rec?.direction === 'inbound' || rec?.call_type === 'customer_inquiry';
-  const wasHuman = rec?.call_type === 'human_representative';
+// The stored copy when the provider can reach it (public link, or a signed /media link
+// minted per attempt for private copies), else the URL the job was queued with
+async function transcriptionAudioUrl(job) {
+  const call = await dbGet('SELECT recording_url FROM calls WHERE call_id = ?', [job.call_id]);
+  if (/^https?:/i.test(call?.recording_url || '')) return call.recording_url;
+  if (call?.recording_url && WEBHOOK_BASE_URL) return signedMediaUrl(job.call_id, 'recording', TRANSCRIPTION_MEDIA_LINK_TTL_SECS, 'transcription');
+  return job.audio_url;
+}
 
-  let duration = null;
-  if (rec?.start_time) {
-    const start = new Date(rec.start_time).getTime();
-    duration = Math.max(0, Math.floor((Date.now() - start) / 1000));
+// One job per call; a new recording for the call starts it over
+async function enqueueTranscription(callId, audioUrl) {
+  const provider = transcriptionProvider();
+  if (!provider || !audioUrl) {
+    console.log('🎧 Transcription: skipping - no provider or no audio URL');
+    return null;
   }
-  await upsertFields(call_id, { status: 'completed', end_time, duration });
+  await dbRun(
+    `INSERT INTO transcription_jobs (call_id, provider, audio_url, status, attempts, next_attempt_at)
+     VALUES (?, ?, ?, 'pending', 0, ?)
+     ON CONFLICT(call_id) DO UPDATE SET provider = excluded.provider, audio_url = excluded.audio_url, external_id = NULL,
+       status = 'pending', attempts = 0, next_attempt_at = excluded.next_attempt_at, last_error = NULL,
+       completed_at = NULL, updated_at = CURRENT_TIMESTAMP`,
+    [callId, provider.name, audioUrl, new Date().toISOString()]
+  );
+  const job = await dbGet('SELECT * FROM transcription_jobs WHERE call_id = ?', [callId]);
+  await logCallEvent(callId, 'transcription.queued', { job_id: job.id, provider: provider.name });
+  runTranscriptionJob(job).catch(e => console.error('Transcription job error:', e));
+  return job;
+}
 
-  if (wasCustomer) {
-    clearHumanTimeout(call_id);
-    const humanRow = await dbGet('SELECT pending_human_call_id FROM calls WHERE call_id = ?', [call_id]);
-    const humanId = humanRow?.pending_human_call_id;
-    if (humanId) {
-      try { await fetch(`https://api.telnyx.com/v2/calls/${humanId}/actions/hangup`, { method: 'POST', headers: telnyxHeaders() }); } catch {}
-      await upsertFields(call_id, { pending_human_call_id: null });
-    }
-  }
-
-  if (wasHuman) {
-    const customerCallId = rec?.linked_customer_call_id || clientState?.customer_call_id;
-    if (customerCallId) {
-      const cust = await dbGet('SELECT * FROM calls WHERE call_id = ?', [customerCallId]);
-      if (cust && cust.status !== 'completed') {
-        await speakToCall(customerCallId, "Sorry, our representative couldn't take the call. Please leave your name, phone, address, and details after the beep.");
-        await upsertFields(customerCallId, { pending_human_call_id: null });
-      }
-    }
+async function failTranscriptionJob(job, error) {
+  const attempts = job.attempts;
+  const dead = attempts >= TRANSCRIPTION_MAX_ATTEMPTS;
+  const next = new Date(Date.now() + transcriptionBackoffMs(attempts)).toISOString();
+  await dbRun(
+    `UPDATE transcription_jobs SET status = ?, last_error = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [dead ? 'failed' : 'pending', String(error).slice(0, 500), dead ? null : next, job.id]
+  );
+  console.error(`🎧 Transcription #${job.id} (${job.call_id}) attempt ${attempts} failed: ${error}${dead ? ' - giving up' : `, retry at ${next}`}`);
+  await logCallEvent(job.call_id, 'transcription.failed', {
+    job_id: job.id, provider: job.provider, attempt: attempts, error: String(error).slice(0, 500), next_attempt_at: dead ? null : next
+  });
+  // No transcript is coming; rank the call on what we have so it still becomes a lead
+  if (dead) {
+    try { await scoreLead(job.call_id); } catch (e) { console.error('Lead scoring error:', e); }
   }
 }
 
-async function onRecordingSaved(data) {
-  const call_id = data.payload?.call_control_id || data.call_control_id;
-  const telnyxUrl = data.payload?.recording_urls?.mp3 || data.recording_urls?.mp3;
-  let finalUrl = telnyxUrl;
+async function completeTranscriptionJob(job, result) {
+  let text = result.text || '';
+  if ((!text || text.trim().length < 5) && result.utterances?.length) {
+    text = result.utterances.map(u => {
+      const sp = (typeof u.speaker === 'number') ? `Speaker ${u.speaker}` : (u.speaker || 'Speaker');
+      return `${sp}: ${u.text || ''}`;
+    }).join('\n');
+  }
+  await storeTranscript(job.call_id, job.external_id ? `${job.provider}:${job.external_id}` : `${job.provider}:${job.id}`, text, result.utterances);
+  await dbRun(
+    `UPDATE transcription_jobs SET status = 'completed', last_error = NULL, completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [job.id]
+  );
+  console.log(`✅ Transcript stored for ${job.call_id} (${job.provider})`);
+  await logCallEvent(job.call_id, 'transcription.completed', { job_id: job.id, provider: job.provider, external_id: job.external_id || null });
+}
 
-  console.log('📹 Recording saved for call:', call_id);
-  console.log('📹 Telnyx URL:', telnyxUrl);
+// Create (or resume) the provider job, then poll it to completion
+async function runTranscriptionJob(job) {
+  if (transcriptionPolls.has(job.id)) return;
+  const provider = transcriptionProvider(job.provider);
+  if (!provider) { await failTranscriptionJob({ ...job, attempts: TRANSCRIPTION_MAX_ATTEMPTS }, `unknown provider ${job.provider}`); return; }
 
+  transcriptionPolls.add(job.id);
   try {
-    await dbRun('BEGIN IMMEDIATE');
-    finalUrl = await mirrorRecordingToSpaces(call_id, telnyxUrl);
-    await upsertFields(call_id, { recording_url: finalUrl, status: 'completed' });
-    await dbRun('COMMIT');
-    console.log('📹 Recording mirrored to:', finalUrl);
+    const claimed = await dbRun(
+      `UPDATE transcription_jobs SET status = 'processing', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = ? AND status = 'pending'`,
+      [job.id]
+    );
+    if (!claimed.changes) return;
+    job = await dbGet('SELECT * FROM transcription_jobs WHERE id = ?', [job.id]);
+
+    // A retry after a timeout picks the provider's job back up rather than paying for a new one
+    if (job.external_id) {
+      const s = await provider.status(job.external_id).catch(e => ({ status: 'error', error: e.message }));
+      if (s.status === 'error') job.external_id = null;
+    }
+    if (!job.external_id) {
+      console.log(`🎧 Transcription #${job.id}: creating ${provider.name} job for ${job.call_id}`);
+      const created = await provider.create({ ...job, audio_url: await transcriptionAudioUrl(job) });
+      if (created.result) { await completeTranscriptionJob(job, created.result); return; }
+      job.external_id = created.externalId;
+      await dbRun('UPDATE transcription_jobs SET external_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [job.external_id, job.id]);
+      await logCallEvent(job.call_id, 'transcription.submitted', { job_id: job.id, provider: provider.name, external_id: job.external_id, attempt: job.attempts });
+    }
+
+    for (let i = 0; i < TRANSCRIPTION_POLL_LIMIT; i++) {
+      const s = await provider.status(job.external_id);
+      if (s.status === 'completed') { await completeTranscriptionJob(job, await provider.result(job.external_id)); return; }
+      if (s.status === 'error') { job.external_id = null; throw new Error(`provider error: ${s.error}`); }
+      await waitMs(TRANSCRIPTION_POLL_MS);
+      const now = await dbGet('SELECT status FROM transcription_jobs WHERE id = ?', [job.id]);
+      if (now?.status !== 'processing') return; // finished by webhook meanwhile
+    }
+    throw new Error(`timed out after ${TRANSCRIPTION_POLL_LIMIT} polls`);
   } catch (e) {
-    try { await dbRun('ROLLBACK'); } catch {}
-    console.error('Recording save DB error:', e);
+    if (!job.external_id) await dbRun('UPDATE transcription_jobs SET external_id = NULL WHERE id = ?', [job.id]);
+    await failTranscriptionJob(job, e.message || e);
+  } finally {
+    transcriptionPolls.delete(job.id);
+  }
+}
+
+async function sweepTranscriptionJobs() {
+  if (transcriptionSweepRunning) return;
+  transcriptionSweepRunning = true;
+  try {
+    const due = await dbAll(
+      `SELECT * FROM transcription_jobs WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT 10`,
+      [new Date().toISOString()]
+    );
+    for (const job of due) await runTranscriptionJob(job);
+  } finally {
+    transcriptionSweepRunning = false;
   }
+}
+
+// Poll loops don't survive a restart: put in-flight jobs back in the queue
+async function resumeTranscriptionJobs() {
+  const { changes } = await dbRun(
+    `UPDATE transcription_jobs SET status = 'pending', next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP WHERE status = 'processing'`,
+    [new Date().toISOString()]
+  );
+  if (changes) console.log(`🎧 Re-queued ${changes} interrupted transcription job(s)`);
+  setInterval(() => sweepTranscriptionJobs().catch(e => console.error('Transcription sweep error:', e)), TRANSCRIPTION_SWEEP_MS);
+  sweepTranscriptionJobs().catch(e => console.error('Transcription sweep error:', e));
+}
 
-  // Fire AssemblyAI (webhook or polling)
-  console.log('🎧 Starting AssemblyAI job...');
-  createAAIJob(safeKeySegment(call_id), finalUrl).catch((e) => console.error('AAI create job error:', e));
+// -------------------------- Transcript utterances ----------------------------
+// Calls are recorded dual channel, so AssemblyAI transcribes each channel separately
+// (multichannel) and every utterance knows which side said it. Roles:
+//   caller - TRANSCRIPT_CALLER_CHANNEL (the customer leg's inbound audio)
+//   rep    - the other channel once a rep was bridged in (calls.bridged_at)
+//   ivr    - the other channel before that: greeting, menu, voicemail prompts
+// Speaker-labelled transcripts (AAI_MULTICHANNEL=false) fall back to guessing the caller
+// from what each speaker says. Times are milliseconds from the start of the recording.
+const UTTERANCE_ROLES = ['caller', 'rep', 'ivr'];
+const ROLE_LABELS = { caller: 'Caller', rep: 'Rep', ivr: 'IVR' };
 
-  // Schedule Zapier after we know we have a recording (but will wait for transcript)
-  await scheduleZapierWebhook(call_id);
+function labelUtterances(call, aaiUtterances) {
+  const recStart = Date.parse(call?.recording_started_at || '');
+  const bridged = Date.parse(call?.bridged_at || '');
+  const bridgeOffset = Number.isFinite(recStart) && Number.isFinite(bridged) ? bridged - recStart : null;
+  const agentRole = (startMs) => bridgeOffset !== null && startMs >= bridgeOffset ? 'rep' : 'ivr';
 
-  // Also send immediate webhook as fallback if no transcript is needed
-  setTimeout(async () => {
-    const call = await dbGet('SELECT * FROM calls WHERE call_id = ? AND zapier_sent = 0', [call_id]);
-    if (call && !aaiEnabled()) {
-      console.log('📤 ZAPIER: Sending fallback webhook (no AAI enabled)');
-      await sendToZapier(call_id);
-    }
-  }, 10000); // Wait 10 seconds, then send fallback if transcript hasn't completed
+  const rows = aaiUtterances
+    .filter(u => String(u.text || '').trim())
+    .map(u => ({
+      channel: u.channel !== undefined && u.channel !== null ? String(u.channel) : null,
+      speaker: String(u.speaker ?? '?'),
+      start_ms: Number.isFinite(u.start) ? u.start : null,
+      end_ms: Number.isFinite(u.end) ? u.end : null,
+      text: String(u.text).trim(),
+      confidence: Number.isFinite(u.confidence) ? u.confidence : null
+    }));
+
+  const callerSpeaker = rows.some(r => r.channel) ? null : pickCallerSpeaker(rows);
+  for (const r of rows) {
+    const isCaller = r.channel ? r.channel === TRANSCRIPT_CALLER_CHANNEL : r.speaker === callerSpeaker;
+    r.role = isCaller ? 'caller' : agentRole(r.start_ms ?? 0);
+  }
+  return rows.sort((a, b) => (a.start_ms ?? 0) - (b.start_ms ?? 0));
 }
 
-async function onDTMF(data) {
-  const callId = data.payload?.call_control_id || data.call_control_id;
-  const digit = data.payload?.digit || data.digit;
-  switch (digit) {
-    case '1':
-    case '0':
-      await speakToCall(callId, "Connecting you now. Please remain on the line while we dial our representative.");
-      await connectToHuman(callId);
-      break;
-    case '2':
-      await speakToCall(callId, "Please describe your water or flood damage situation after the beep. Include your address and details of the damage. When you're done, you can simply hang up.");
-      break;
+async function saveUtterances(callId, rows) {
+  await dbRun('DELETE FROM transcript_utterances WHERE call_id = ?', [callId]);
+  for (let i = 0; i < rows.length; i += 500) {
+    const chunk = rows.slice(i, i + 500);
+    await dbRun(
+      `INSERT INTO transcript_utterances (call_id, seq, channel, speaker, role, start_ms, end_ms, text, confidence)
+       VALUES ${chunk.map(() => '(?, ?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+      chunk.flatMap((r, j) => [callId, i + j, r.channel, r.speaker, r.role, r.start_ms, r.end_ms, r.text, r.confidence])
+    );
+  }
+}
+
+function cueTime(ms, sep) {
+  const t = Math.max(0, Math.round(ms || 0));
+  const h = String(Math.floor(t / 3600000)).padStart(2, '0');
+  const m = String(Math.floor(t / 60000) % 60).padStart(2, '0');
+  const s = String(Math.floor(t / 1000) % 60).padStart(2, '0');
+  return `${h}:${m}:${s}${sep}${String(t % 1000).padStart(3, '0')}`;
+}
+
+function formatTranscript(rows, format) {
+  const label = (r) => ROLE_LABELS[r.role] || r.speaker;
+  const end = (r) => r.end_ms ?? (r.start_ms || 0) + 1000;
+  switch (format) {
+    case 'srt':
+      return rows.map((r, i) => `${i + 1}\n${cueTime(r.start_ms, ',')} --> ${cueTime(end(r), ',')}\n${label(r)}: ${r.text}\n`).join('\n');
+    case 'vtt':
+      return `WEBVTT\n\n${rows.map(r => `${cueTime(r.start_ms, '.')} --> ${cueTime(end(r), '.')}\n<v ${label(r)}>${r.text}\n`).join('\n')}`;
     default:
-      await speakToCall(callId, "Invalid selection. Please try again.");
-      await waitMs(600);
-      await playIVRMenu(callId);
+      return rows.map(r => `[${cueTime(r.start_ms, '.').slice(3, 8)}] ${label(r)}: ${r.text}`).join('\n') + '\n';
   }
 }
 
-async function connectToHuman(customerCallId) {
-  try {
-    if (!HUMAN_PHONE_NUMBER) {
-      await speakToCall(customerCallId, "Sorry, we can't reach a representative right now.");
-      return;
-    }
+// ------------------------------ Lead scoring ---------------------------------
+// Ranks a customer call 0-100 and buckets it hot/warm/cold/spam once the transcript is in
+// (or as soon as the recording is, with transcription off). Rules are JSON so the office
+// can tune them through the admin API; the saved copy lives in lead_scoring_rules.
+//   keywords        [{ terms: [...], points }]  each rule counts once, whole-word, any term
+//   duration        [{ min_secs, points }]      first rule the call is long enough for
+//   human_connected points when a rep was bridged in
+//   voicemail_left  points when the caller left a voicemail
+//   repeat_caller   { window_days, points }     earlier inbound call from the same number
+//   spam            { max_duration_secs, max_transcript_words } short, silent calls → spam
+//   tiers           { hot, warm }               minimum score per tier; below warm is cold
+const LEAD_TIERS = ['hot', 'warm', 'cold', 'spam'];
 
-    // Preserve direction when updating call type
-    await upsertFields(customerCallId, { 
-      call_type: 'human_transfer', 
-      notes: 'Customer requested human representative'
-    });
+function defaultLeadScoringRules() {
+  return {
+    keywords: [
+      { terms: ['standing water', 'flooded', 'flooding'], points: 20 },
+      { terms: ['burst pipe', 'pipe burst', 'broken pipe', 'leaking pipe'], points: 20 },
+      { terms: ['insurance', 'claim', 'adjuster'], points: 15 },
+      { terms: ['mold', 'mould', 'mildew'], points: 15 },
+      { terms: ['emergency', 'urgent', 'right away', 'asap'], points: 10 }
+    ],
+    duration: [{ min_secs: 180, points: 20 }, { min_secs: 60, points: 10 }, { min_secs: 30, points: 5 }],
+    human_connected: 20,
+    voicemail_left: 10,
+    repeat_caller: { window_days: 30, points: 10 },
+    spam: { max_duration_secs: 10, max_transcript_words: 3 },
+    tiers: { hot: 60, warm: 30 }
+  };
+}
 
-    const cs = b64({ customer_call_id: customerCallId });
-    const resp = await fetch('https://api.telnyx.com/v2/calls', {
-      method: 'POST',
-      headers: telnyxHeaders(),
-      body: JSON.stringify({
-        to: HUMAN_PHONE_NUMBER,
-        from: TELNYX_PHONE_NUMBER,
-        connection_id: TELNYX_CONNECTION_ID,
-        webhook_url: `${WEBHOOK_BASE_URL}/webhooks/calls`,
-        client_state: cs,
-        machine_detection: 'disabled',
-        timeout_secs: 30
-      })
-    });
+let leadScoringRules = defaultLeadScoringRules();
 
-    if (!resp.ok) {
-      const errorText = await resp.text();
-      console.error('Failed to dial human:', errorText);
-      await speakToCall(customerCallId, "I'm sorry, we couldn't reach our representative. Please leave a detailed message after the tone.");
-      return;
+function validateLeadScoringRules(r) {
+  const errors = [];
+  if (!r || typeof r !== 'object' || Array.isArray(r)) return ['rules must be a JSON object'];
+  const points = (v, at) => { if (!Number.isInteger(v) || v < -100 || v > 100) errors.push(`${at} must be an integer from -100 to 100`); };
+  if (!Array.isArray(r.keywords)) errors.push('keywords must be a list');
+  else r.keywords.forEach((k, i) => {
+    if (!Array.isArray(k?.terms) || !k.terms.length || !k.terms.every(t => typeof t === 'string' && t.trim())) {
+      errors.push(`keywords[${i}].terms must be a non-empty list of strings`);
     }
+    points(k?.points, `keywords[${i}].points`);
+  });
+  if (!Array.isArray(r.duration)) errors.push('duration must be a list');
+  else r.duration.forEach((d, i) => {
+    if (!Number.isInteger(d?.min_secs) || d.min_secs < 0) errors.push(`duration[${i}].min_secs must be a non-negative integer`);
+    points(d?.points, `duration[${i}].points`);
+  });
+  points(r.human_connected, 'human_connected');
+  points(r.voicemail_left, 'voicemail_left');
+  if (!Number.isInteger(r.repeat_caller?.window_days) || r.repeat_caller.window_days < 1) errors.push('repeat_caller.window_days must be a positive integer');
+  points(r.repeat_caller?.points, 'repeat_caller.points');
+  if (!Number.isInteger(r.spam?.max_duration_secs) || r.spam.max_duration_secs < 0) errors.push('spam.max_duration_secs must be a non-negative integer');
+  if (!Number.isInteger(r.spam?.max_transcript_words) || r.spam.max_transcript_words < 0) errors.push('spam.max_transcript_words must be a non-negative integer');
+  const { hot, warm } = r.tiers || {};
+  if (!Number.isInteger(hot) || !Number.isInteger(warm) || warm < 0 || hot <= warm || hot > 100) {
+    errors.push('tiers needs integers with 0 <= warm < hot <= 100');
+  }
+  return errors;
+}
 
-    const json = await resp.json();
-    const humanCallId = json?.data?.call_control_id;
-    if (!humanCallId) {
-      await speakToCall(customerCallId, "I'm sorry, we couldn't reach our representative.");
-      return;
-    }
+async function loadLeadScoringRules() {
+  const row = await dbGet('SELECT rules FROM lead_scoring_rules WHERE id = 1');
+  if (!row) { leadScoringRules = defaultLeadScoringRules(); return; }
+  try {
+    const rules = JSON.parse(row.rules);
+    const errors = validateLeadScoringRules(rules);
+    if (errors.length) throw new Error(errors.join('; '));
+    leadScoringRules = rules;
+  } catch (e) {
+    console.error('Lead scoring: saved rules are invalid, using defaults:', e.message);
+    leadScoringRules = defaultLeadScoringRules();
+  }
+}
 
-    const now = new Date().toISOString();
-    await upsertFields(customerCallId, { pending_human_call_id: humanCallId });
-    await upsertCall({
-      call_id: humanCallId,
-      direction: 'outbound',
-      from_number: TELNYX_PHONE_NUMBER,
-      to_number: HUMAN_PHONE_NUMBER,
-      status: 'initiated',
-      start_time: now,
-      call_type: 'human_representative',
-      linked_customer_call_id: customerCallId,
-      human_dial_started_at: now
-    });
+function termPattern(term) {
+  const words = term.trim().toLowerCase().split(/\s+/).map(w => w.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+  return new RegExp(`\\b${words.join('\\s+')}\\b`, 'i');
+}
 
-    clearHumanTimeout(customerCallId);
-    const t = setTimeout(async () => {
-      const row = await dbGet('SELECT status, pending_human_call_id FROM calls WHERE call_id = ?', [customerCallId]);
-      if (!row || row.status === 'completed') return;
-      const stillPending = row.pending_human_call_id === humanCallId;
-      if (!stillPending) return;
+// Pure: facts about the call in, { score, tier, reasons } out
+function computeLeadScore({ transcript = '', durationSecs = 0, humanConnected = false, voicemailLeft = false, repeatCaller = false }, rules = leadScoringRules) {
+  const reasons = [];
+  let score = 0;
+  const add = (points, why) => { if (points) { score += points; reasons.push(`${points > 0 ? '+' : ''}${points} ${why}`); } };
 
-      try { await fetch(`https://api.telnyx.com/v2/calls/${humanCallId}/actions/hangup`, { method: 'POST', headers: telnyxHeaders() }); } catch {}
-      await speakToCall(customerCallId, "I'm sorry, our representative is unavailable. Please leave your name, phone number, address, and details about the water damage after the beep.");
-      await upsertFields(customerCallId, { pending_human_call_id: null });
-    }, 35000);
+  for (const k of rules.keywords) {
+    const hit = k.terms.find(t => termPattern(t).test(transcript));
+    if (hit) add(k.points, `mentioned "${hit}"`);
+  }
+  const dur = [...rules.duration].sort((a, b) => b.min_secs - a.min_secs).find(d => durationSecs >= d.min_secs);
+  if (dur) add(dur.points, `call ${durationSecs}s`);
+  if (humanConnected) add(rules.human_connected, 'spoke with a rep');
+  if (voicemailLeft) add(rules.voicemail_left, 'left a voicemail');
+  if (repeatCaller) add(rules.repeat_caller.points, 'repeat caller');
 
-    humanTimeouts.set(customerCallId, t);
-  } catch (e) {
-    console.error('connectToHuman error:', e);
-    await speakToCall(customerCallId, "We're having trouble connecting. Please call back in a few minutes or leave a message.");
+  const words = transcript.trim() ? transcript.trim().split(/\s+/).length : 0;
+  if (durationSecs <= rules.spam.max_duration_secs && words <= rules.spam.max_transcript_words && !humanConnected && !voicemailLeft) {
+    return { score: 0, tier: 'spam', reasons: [`short call (${durationSecs}s) with ${words} word(s) said`] };
   }
+
+  score = Math.max(0, Math.min(100, score));
+  const tier = score >= rules.tiers.hot ? 'hot' : score >= rules.tiers.warm ? 'warm' : 'cold';
+  return { score, tier, reasons };
+}
+
+// Scores a customer call from what we've stored about it and saves the result
+async function scoreLead(callId) {
+  const call = await dbGet('SELECT * FROM calls WHERE call_id = ?', [callId]);
+  if (!call || call.call_type === 'human_representative') return null;
+
+  const voicemail = await dbGet(`SELECT 1 FROM voicemails WHERE call_id = ? AND status = 'saved'`, [callId]);
+  const since = new Date(Date.parse(call.start_time || call.created_at) - leadScoringRules.repeat_caller.window_days * 86400000).toISOString();
+  const earlier = call.from_number ? await dbGet(
+    `SELECT 1 FROM calls WHERE from_number = ? AND direction = 'inbound' AND call_id != ? AND id < ? AND start_time >= ?`,
+    [call.from_number, callId, call.id, since]
+  ) : null;
+
+  const result = computeLeadScore({
+    transcript: call.transcript || '',
+    durationSecs: call.duration || 0,
+    humanConnected: call.call_type === 'human_connected',
+    voicemailLeft: !!voicemail,
+    repeatCaller: !!earlier
+  });
+  await upsertFields(callId, {
+    lead_quality: result.tier,
+    lead_score: result.score,
+    lead_score_reasons: JSON.stringify(result.reasons),
+    lead_scored_at: new Date().toISOString()
+  });
+  console.log(`⭐ LEAD: ${callId} scored ${result.score} (${result.tier})`);
+  await logCallEvent(callId, 'lead.scored', { score: result.score, tier: result.tier, reasons: result.reasons });
+  // The first score is when an inbound call becomes a lead; rescoring doesn't re-announce it
+  if (!call.lead_scored_at && call.direction === 'inbound') {
+    await emitEvent('lead.created', callId, c => ({
+      lead: {
+        quality: c.lead_quality, score: c.lead_score, reasons: result.reasons,
+        customer_name: c.customer_name || null,
+        callback_number: c.callback_number || c.from_number,
+        zip_code: c.customer_zip_code || null,
+        in_service_area: c.in_service_area === null || c.in_service_area === undefined ? null : !!c.in_service_area,
+        after_hours: !!c.after_hours,
+        recording_url: externalMediaLink(c, 'recording', OUTBOUND_WEBHOOK_MEDIA_LINK_TTL_SECS, 'webhook'),
+        transcript_url: externalMediaLink(c, 'transcript', OUTBOUND_WEBHOOK_MEDIA_LINK_TTL_SECS, 'webhook')
+      }
+    }));
+  }
+  return result;
+}
+
+// --------------------------- Lead field extraction ---------------------------
+// Pulls name, callback number, street address, damage type and urgency out of the
+// speaker-labelled utterances with plain patterns, so it works offline. Every field is
+// { value, confidence (0-1), source: the sentence it came from }. The full set is kept
+// as JSON on calls.customer_info; fields at or above EXTRACTION_MIN_CONFIDENCE are also
+// copied onto the call and into customer fields nobody has filled in yet.
+const EXTRACTION_MIN_CONFIDENCE = Number(process.env.EXTRACTION_MIN_CONFIDENCE || 0.6);
+
+// Things our side says: greeting/menu prompts and the rep's questions
+const AGENT_PHRASES = /\b(press \d|thanks for calling|thank you for calling|after the beep|how can i help|what(?:'s| is) your (?:name|address|number))\b/i;
+
+const STREET_SUFFIX = '(?:street|st|avenue|ave|road|rd|drive|dr|lane|ln|boulevard|blvd|court|ct|way|place|pl|terrace|ter|circle|cir|parkway|pkwy|highway|hwy|trail|trl)';
+const ADDRESS_RE = new RegExp(`\\b\\d{1,6}\\s+(?:[nsew]\\.?\\s+)?(?:[a-z0-9][\\w.'-]*\\s+){0,4}?${STREET_SUFFIX}\\b\\.?(?:,?\\s+(?:apt|apartment|unit|suite|ste|#)\\.?\\s*[\\w-]+)?`, 'i');
+const PHONE_RE = /(?:\+?1[\s.-]?)?\(?\b(\d{3})\)?[\s.-]?(\d{3})[\s.-]?(\d{4})\b/;
+const NAME_WORD = "[A-Z][a-z'’-]+";
+const NOT_NAMES = new Set(['It', 'Calling', 'Having', 'Just', 'Not', 'Looking', 'Here', 'Still', 'Really', 'So', 'The', 'A', 'An', 'Very', 'In', 'At', 'On', 'Going', 'Trying', 'Sorry', 'Okay', 'Yes', 'No']);
+
+const DAMAGE_TERMS = {
+  flood: ['flood', 'flooded', 'flooding', 'standing water', 'water in the basement', 'sewage', 'backed up'],
+  water: ['leak', 'leaking', 'burst pipe', 'pipe burst', 'broken pipe', 'water heater', 'overflow', 'water damage', 'dishwasher', 'washing machine'],
+  mold: ['mold', 'mould', 'mildew', 'musty'],
+  fire: ['fire', 'smoke', 'soot', 'burned'],
+  storm: ['storm', 'hurricane', 'tornado', 'wind', 'hail', 'roof', 'tree fell']
+};
+const URGENCY_TERMS = [
+  ['emergency', 0.9, ['emergency', 'right now', 'still coming in', 'still leaking', 'immediately', 'asap', 'ceiling (?:is )?collaps\\w*', 'can\'t stop']],
+  ['high', 0.75, ['today', 'as soon as possible', 'urgent', 'spreading', 'tonight', 'getting worse']],
+  ['low', 0.7, ['no rush', 'whenever', 'next week', 'just an estimate', 'just a quote', 'not urgent']]
+];
+
+function phrasePattern(p) {
+  return new RegExp(`\\b${p.replace(/\s+/g, '\\s+')}\\b`, 'i');
+}
+
+// utterances: [{ speaker, text }] in call order. Plain transcripts come in as one speaker.
+function pickCallerSpeaker(utterances) {
+  if (utterances.some(u => u.speaker === 'caller')) return 'caller';
+  const words = new Map();
+  const agents = new Set();
+  for (const u of utterances) {
+    if (AGENT_PHRASES.test(u.text)) agents.add(u.speaker);
+    words.set(u.speaker, (words.get(u.speaker) || 0) + u.text.split(/\s+/).length);
+  }
+  const ranked = [...words.entries()].sort((a, b) => b[1] - a[1]).map(([s]) => s);
+  return ranked.find(s => !agents.has(s)) ?? ranked[0];
+}
+
+function extractLeadFields(utterances) {
+  const fields = {};
+  const offer = (name, value, confidence, source) => {
+    if (value && (!fields[name] || confidence > fields[name].confidence)) {
+      fields[name] = { value, confidence: Math.round(confidence * 100) / 100, source: source.trim().slice(0, 200) };
+    }
+  };
+  if (!utterances.length) return fields;
+  const caller = pickCallerSpeaker(utterances);
+
+  utterances.forEach((u, i) => {
+    const prev = utterances[i - 1];
+    const asked = prev && prev.speaker !== u.speaker ? prev.text : '';
+    const fromCaller = u.speaker === caller;
+    const weight = fromCaller ? 1 : 0.6; // the rep repeating details back is weaker evidence
+
+    // Name
+    // Names need their capital letters, so the cue words spell out both cases
+    let m = u.text.match(new RegExp(`\\b(?:[Mm]y name is|[Mm]y name's|[Nn]ame is|I am|I'm|[Tt]his is)\\s+(${NAME_WORD}(?:\\s+${NAME_WORD}){0,2})`));
+    if (m && !NOT_NAMES.has(m[1].split(/\s+/)[0])) {
+      offer('name', m[1], (/\bname/i.test(m[0]) ? 0.9 : 0.7) * weight, u.text);
+    } else if (fromCaller && /\byour name\b/i.test(asked)) {
+      m = u.text.match(new RegExp(`^(?:(?:[Yy]es|[Yy]eah|[Ss]ure|[Ii]t's|[Ii]ts|[Ii]t is)[,\\s]+)*(${NAME_WORD}(?:\\s+${NAME_WORD}){0,2})\\b`));
+      if (m && !NOT_NAMES.has(m[1].split(/\s+/)[0])) offer('name', m[1], 0.65, u.text);
+    }
+
+    // Callback number
+    m = u.text.match(PHONE_RE);
+    if (m) {
+      const phone = normalizePhone(`${m[1]}${m[2]}${m[3]}`);
+      const cued = /\b(call me|reach me|call back|callback|number is|my number|cell)\b/i.test(u.text) || /\bnumber\b/i.test(asked);
+      offer('callback_number', phone, (cued ? 0.9 : 0.7) * weight, u.text);
+    }
+
+    // Street address
+    m = u.text.match(ADDRESS_RE);
+    if (m) {
+      offer('street_address', m[0].replace(/\s+/g, ' ').replace(/\.$/, ''), 0.85 * weight, u.text);
+    } else if (fromCaller) {
+      m = u.text.match(/\b(?:address is|i live at|we're at|we are at|located at|the house is at)\s+(\d{1,6}\s+[^,.?!]{3,60})/i);
+      if (m) offer('street_address', m[1].trim(), 0.6, u.text);
+    }
+  });
+
+  // Damage type and urgency look at everything the caller said
+  const said = utterances.filter(u => u.speaker === caller).map(u => u.text).join(' ');
+  const damage = Object.entries(DAMAGE_TERMS)
+    .map(([type, terms]) => [type, terms.filter(t => phrasePattern(t).test(said))])
+    .filter(([, hits]) => hits.length)
+    .sort((a, b) => b[1].length - a[1].length)[0];
+  if (damage) {
+    offer('damage_type', damage[0], Math.min(0.95, 0.55 + 0.15 * damage[1].length), `mentioned ${damage[1].join(', ')}`);
+  }
+  for (const [level, confidence, terms] of URGENCY_TERMS) {
+    const hit = terms.find(t => phrasePattern(t).test(said));
+    if (hit) { offer('urgency', level, confidence, `mentioned "${said.match(phrasePattern(hit))[0]}"`); break; }
+  }
+  if (!fields.urgency && damage) offer('urgency', 'medium', 0.5, 'damage reported, no time pressure mentioned');
+
+  return fields;
+}
+
+// AssemblyAI utterances (speaker "A"/"B") or, without them, the flat transcript text
+function utterancesFrom(transcriptText, aaiUtterances) {
+  if (Array.isArray(aaiUtterances) && aaiUtterances.length) {
+    return aaiUtterances.map(u => ({ speaker: String(u.speaker ?? '?'), text: String(u.text || '') })).filter(u => u.text.trim());
+  }
+  return String(transcriptText || '').split('\n').filter(l => l.trim()).map(line => {
+    const m = line.match(/^(Speaker [\w]+|[A-Z]):\s*(.*)$/);
+    return m ? { speaker: m[1], text: m[2] } : { speaker: '?', text: line };
+  });
+}
+
+async function applyLeadFields(callId, fields) {
+  const sure = (f) => fields[f] && fields[f].confidence >= EXTRACTION_MIN_CONFIDENCE ? fields[f].value : null;
+  await upsertFields(callId, {
+    customer_info: JSON.stringify(fields),
+    customer_name: sure('name'),
+    callback_number: sure('callback_number')
+  });
+
+  const call = await dbGet('SELECT customer_id FROM calls WHERE call_id = ?', [callId]);
+  if (!call?.customer_id) return;
+  // Fill gaps only; staff edits always win over the extractor
+  const updates = { name: sure('name'), address: sure('street_address'), damage_type: sure('damage_type'), urgency: sure('urgency') };
+  const cols = Object.keys(updates).filter(c => updates[c]);
+  if (!cols.length) return;
+  await dbRun(
+    `UPDATE customers SET ${cols.map(c => `${c} = COALESCE(NULLIF(${c}, ''), ?)`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [...cols.map(c => updates[c]), call.customer_id]
+  );
+}
+
+async function extractAndStoreLeadFields(callId, transcriptText, aaiUtterances) {
+  const fields = extractLeadFields(utterancesFrom(transcriptText, aaiUtterances));
+  await applyLeadFields(callId, fields);
+  console.log(`🔎 EXTRACT: ${callId} → ${Object.keys(fields).map(k => `${k}(${fields[k].confidence})`).join(', ') || 'nothing'}`);
+  return fields;
+}
+
+// --------------------------- Zapier delivery outbox ---------------------------
+// Leads are queued in zapier_outbox and sent by a single worker, so a restart or
+// deploy never drops one. Failures back off exponentially; after
+// ZAPIER_MAX_ATTEMPTS the row goes 'dead' and waits for a replay from the admin API.
+// calls.zapier_sent is only set when the matching outbox row is 'delivered'.
+function buildZapierPayload(call) {
+  const transcriptUrl = externalMediaLink(call, 'transcript', ZAPIER_MEDIA_LINK_TTL_SECS, 'zapier');
+  return {
+    call_id: call.call_id,
+    timestamp: new Date().toISOString(),
+    customer_phone: call.from_number,
+    call_duration_seconds: call.duration || 0,
+    call_start_time: call.start_time,
+    call_end_time: call.end_time,
+    call_type: call.call_type,
+    call_status: call.status,
+    recording_url: externalMediaLink(call, 'recording', ZAPIER_MEDIA_LINK_TTL_SECS, 'zapier'),
+    transcript_url: transcriptUrl,
+    " Transcript URL": transcriptUrl,
+    source: call.brand_name || 'Water Damage Restoration Phone System',
+    lead_source: call.lead_source || 'Inbound Phone Call',
+    campaign: call.campaign || null,
+    business_phone: call.to_number,
+    customer_zip_code: call.customer_zip_code || null,
+    in_service_area: call.in_service_area === null || call.in_service_area === undefined ? null : !!call.in_service_area,
+    lead_quality: call.lead_quality || null,
+    lead_score: call.lead_score ?? null
+  };
+}
+
+function zapierBackoffMs(attempts) {
+  const ms = ZAPIER_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(ms, ZAPIER_RETRY_MAX_MS) + Math.floor(Math.random() * 1000);
+}
+
+// Queue (or pull forward) the lead for a call. delayMs lets the recording step wait
+// for the transcript without losing the lead if transcription never finishes.
+async function enqueueZapierDelivery(callId, { delayMs = 0 } = {}) {
+  try {
+    const call = await dbGet('SELECT * FROM calls WHERE call_id = ?', [callId]);
+    if (!zapierUrlForCall(call)) {
+      console.log('🔴 ZAPIER: No webhook URL configured - skipping');
+      return;
+    }
+    const shouldSend = call?.recording_url && !call?.zapier_sent && call?.direction === 'inbound';
+    if (!shouldSend) {
+      console.log('📤 ZAPIER: Skipping - criteria not met for', callId);
+      return;
+    }
+
+    const due = new Date(Date.now() + delayMs).toISOString();
+    await dbRun(
+      `INSERT INTO zapier_outbox (call_id, status, next_attempt_at) VALUES (?, 'pending', ?)
+       ON CONFLICT(call_id) DO UPDATE SET next_attempt_at = MIN(next_attempt_at, excluded.next_attempt_at),
+         updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'pending'`,
+      [callId, due]
+    );
+    console.log(`📤 ZAPIER: Queued ${callId} (due ${due})`);
+    await logCallEvent(callId, 'zapier.queued', { due });
+    if (!delayMs) processZapierOutbox().catch(e => console.error('Zapier outbox error:', e));
+  } catch (e) {
+    console.error('enqueueZapierDelivery error:', e);
+  }
+}
+
+async function deliverZapier(row) {
+  const call = await dbGet('SELECT * FROM calls WHERE call_id = ?', [row.call_id]);
+  if (!call) {
+    await dbRun(`UPDATE zapier_outbox SET status = 'dead', last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      ['call record not found', row.id]);
+    return;
+  }
+  if (call.zapier_sent) {
+    await dbRun(`UPDATE zapier_outbox SET status = 'delivered', delivered_at = COALESCE(delivered_at, ?), updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [call.zapier_sent_at || new Date().toISOString(), row.id]);
+    return;
+  }
+
+  const payload = buildZapierPayload(call);
+  const attempts = row.attempts + 1;
+  const url = zapierUrlForCall(call);
+  let error = null;
+  try {
+    console.log(`📤 ZAPIER: Sending ${row.call_id} (attempt ${attempts}/${ZAPIER_MAX_ATTEMPTS})`);
+    if (!url) throw new Error('no webhook URL configured for this number');
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(payload),
+      signal: AbortSignal.timeout(30000)
+    });
+    const bodyText = await r.text();
+    console.log(`📤 ZAPIER RESP → status: ${r.status}, body: ${bodyText}`);
+    if (!r.ok) error = `HTTP ${r.status}: ${bodyText.slice(0, 500)}`;
+  } catch (e) {
+    error = e.message || String(e);
+  }
+
+  const now = new Date().toISOString();
+  if (!error) {
+    await dbRun(
+      `UPDATE zapier_outbox SET status = 'delivered', attempts = ?, payload = ?, last_error = NULL,
+         delivered_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [attempts, JSON.stringify(payload), now, row.id]
+    );
+    await upsertFields(row.call_id, { zapier_sent: true, zapier_sent_at: now });
+    console.log('✅ ZAPIER: Delivered and marked as sent', row.call_id);
+    await logCallEvent(row.call_id, 'zapier.delivered', { attempt: attempts });
+    return;
+  }
+
+  if (attempts >= ZAPIER_MAX_ATTEMPTS) {
+    await dbRun(
+      `UPDATE zapier_outbox SET status = 'dead', attempts = ?, payload = ?, last_error = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [attempts, JSON.stringify(payload), error, row.id]
+    );
+    console.error(`🔴 ZAPIER: Giving up on ${row.call_id} after ${attempts} attempts: ${error}`);
+    await logCallEvent(row.call_id, 'zapier.failed', { attempt: attempts, error, next_attempt_at: null });
+    return;
+  }
+  const next = new Date(Date.now() + zapierBackoffMs(attempts)).toISOString();
+  await dbRun(
+    `UPDATE zapier_outbox SET status = 'pending', attempts = ?, payload = ?, last_error = ?, next_attempt_at = ?,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [attempts, JSON.stringify(payload), error, next, row.id]
+  );
+  console.log(`🔴 ZAPIER: ${row.call_id} failed (${error}), retry at ${next}`);
+  await logCallEvent(row.call_id, 'zapier.failed', { attempt: attempts, error, next_attempt_at: next });
+}
+
+let zapierOutboxBusy = false;
+async function processZapierOutbox() {
+  if (zapierOutboxBusy || !zapierConfigured()) return;
+  zapierOutboxBusy = true;
+  try {
+    const due = await dbAll(
+      `SELECT * FROM zapier_outbox WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY next_attempt_at LIMIT 20`,
+      [new Date().toISOString()]
+    );
+    for (const row of due) {
+      await dbRun(`UPDATE zapier_outbox SET status = 'sending', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.id]);
+      try {
+        await deliverZapier(row);
+      } catch (e) {
+        console.error('Zapier deliver error:', e);
+        await dbRun(`UPDATE zapier_outbox SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'sending'`, [row.id]);
+      }
+    }
+  } finally {
+    zapierOutboxBusy = false;
+  }
+}
+
+// On boot: requeue anything interrupted mid-send and line zapier_sent up with the outbox
+async function resumeZapierOutbox() {
+  await dbRun(`UPDATE zapier_outbox SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'sending'`);
+  await dbRun(
+    `UPDATE calls SET zapier_sent = 1,
+       zapier_sent_at = COALESCE(zapier_sent_at, (SELECT delivered_at FROM zapier_outbox o WHERE o.call_id = calls.call_id))
+     WHERE zapier_sent = 0 AND call_id IN (SELECT call_id FROM zapier_outbox WHERE status = 'delivered')`
+  );
+  const pending = await dbGet(`SELECT COUNT(*) AS n FROM zapier_outbox WHERE status = 'pending'`);
+  console.log('Zapier outbox pending deliveries:', pending?.n || 0);
+  setInterval(() => processZapierOutbox().catch(e => console.error('Zapier outbox error:', e)), ZAPIER_OUTBOX_POLL_MS);
+  processZapierOutbox().catch(e => console.error('Zapier outbox error:', e));
+}
+
+// --------------------------- Outbound webhooks --------------------------------
+// Subscribers register endpoints for a set of events (or "*"). emitEvent queues one
+// webhook_deliveries row per matching subscription, and a worker like the Zapier outbox
+// sends them with backoff; after OUTBOUND_WEBHOOK_MAX_ATTEMPTS a row goes 'dead' until
+// it's retried from the admin API. Rows stay as the subscription's delivery history.
+//
+// Body: { id, type, version, created_at, data }. The id is the same on every retry.
+// Headers: X-Webhook-Id, X-Webhook-Event, and X-Webhook-Signature: t=<unix secs>,v1=<hex>
+// where v1 = HMAC-SHA256(secret, `${t}.${rawBody}`) - the scheme verifyAAISignature checks.
+const WEBHOOK_EVENTS = ['call.started', 'transfer.answered', 'transfer.failed', 'voicemail.left', 'recording.ready', 'transcript.ready', 'lead.created'];
+const WEBHOOK_DELIVERY_STATES = ['pending', 'sending', 'delivered', 'dead'];
+const WEBHOOK_PAYLOAD_VERSION = 1;
+
+function signWebhookBody(secret, body, t = Math.floor(Date.now() / 1000)) {
+  return `t=${t},v1=${crypto.createHmac('sha256', secret).update(`${t}.${body}`, 'utf8').digest('hex')}`;
+}
+
+// Without a public base URL only a plain http(s) recording is any use to a subscriber
+function webhookVoicemailLink(id, url) {
+  if (!url) return null;
+  if (WEBHOOK_BASE_URL) return signedRecordingUrl('voicemail', id, OUTBOUND_WEBHOOK_MEDIA_LINK_TTL_SECS, 'webhook');
+  return /^https?:/i.test(url) ? url : null;
+}
+
+// What every call event carries about the call
+function webhookCallData(call) {
+  return {
+    call_id: call.call_id,
+    direction: call.direction,
+    from_number: call.from_number,
+    to_number: call.to_number,
+    status: call.status,
+    call_type: call.call_type,
+    start_time: call.start_time,
+    end_time: call.end_time,
+    duration_seconds: call.duration ?? null,
+    campaign: call.campaign || null,
+    brand_name: call.brand_name || null,
+    lead_source: call.lead_source || null,
+    customer_id: call.customer_id || null
+  };
+}
+
+function webhookBackoffMs(attempts) {
+  const ms = OUTBOUND_WEBHOOK_RETRY_BASE_MS * 2 ** Math.max(0, attempts - 1);
+  return Math.min(ms, OUTBOUND_WEBHOOK_RETRY_MAX_MS) + Math.floor(Math.random() * 1000);
+}
+
+// Never throws: a subscriber problem mustn't break call handling. `extra` (or extra(call))
+// is merged into data next to the call summary.
+async function emitEvent(type, callId, extra = {}) {
+  try {
+    const subs = (await dbAll('SELECT id, events FROM webhook_subscriptions WHERE active = 1'))
+      .filter(s => { const ev = JSON.parse(s.events || '[]'); return ev.includes('*') || ev.includes(type); });
+    if (!subs.length) return;
+
+    const call = callId ? await dbGet('SELECT * FROM calls WHERE call_id = ?', [callId]) : null;
+    const event = {
+      id: `evt_${crypto.randomUUID()}`,
+      type,
+      version: WEBHOOK_PAYLOAD_VERSION,
+      created_at: new Date().toISOString(),
+      data: { call: call ? webhookCallData(call) : null, ...(typeof extra === 'function' ? extra(call || {}) : extra) }
+    };
+    const payload = JSON.stringify(event);
+    const now = new Date().toISOString();
+    for (const sub of subs) {
+      await dbRun(
+        `INSERT INTO webhook_deliveries (subscription_id, event_id, event, call_id, payload, next_attempt_at) VALUES (?, ?, ?, ?, ?, ?)`,
+        [sub.id, event.id, type, callId || null, payload, now]
+      );
+    }
+    console.log(`🪝 WEBHOOK: ${type}${callId ? ` for ${callId}` : ''} → ${subs.length} subscription(s)`);
+    processWebhookDeliveries().catch(e => console.error('Webhook delivery error:', e));
+  } catch (e) {
+    console.error(`emitEvent ${type} error:`, e);
+  }
+}
+
+async function deliverWebhook(row) {
+  const sub = await dbGet('SELECT * FROM webhook_subscriptions WHERE id = ?', [row.subscription_id]);
+  const attempts = row.attempts + 1;
+  let error = null;
+  let responseStatus = null;
+  try {
+    if (!sub) throw new Error('subscription deleted');
+    const r = await fetch(sub.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'water-damage-lead-system/webhooks',
+        'X-Webhook-Id': row.event_id,
+        'X-Webhook-Event': row.event,
+        'X-Webhook-Signature': signWebhookBody(sub.secret, row.payload)
+      },
+      body: row.payload,
+      signal: AbortSignal.timeout(OUTBOUND_WEBHOOK_TIMEOUT_MS)
+    });
+    responseStatus = r.status;
+    const bodyText = await r.text().catch(() => '');
+    if (!r.ok) error = `HTTP ${r.status}: ${bodyText.slice(0, 500)}`;
+  } catch (e) {
+    error = e.message || String(e);
+  }
+
+  if (!error) {
+    await dbRun(
+      `UPDATE webhook_deliveries SET status = 'delivered', attempts = ?, response_status = ?, last_error = NULL,
+         next_attempt_at = NULL, delivered_at = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [attempts, responseStatus, new Date().toISOString(), row.id]
+    );
+    console.log(`✅ WEBHOOK: ${row.event} #${row.id} delivered to subscription ${row.subscription_id}`);
+    await logCallEvent(row.call_id, 'webhook.delivered', { subscription_id: row.subscription_id, event: row.event, attempt: attempts });
+    return;
+  }
+
+  const dead = !sub || attempts >= OUTBOUND_WEBHOOK_MAX_ATTEMPTS;
+  const next = dead ? null : new Date(Date.now() + webhookBackoffMs(attempts)).toISOString();
+  await dbRun(
+    `UPDATE webhook_deliveries SET status = ?, attempts = ?, response_status = ?, last_error = ?, next_attempt_at = ?,
+       updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [dead ? 'dead' : 'pending', attempts, responseStatus, error, next, row.id]
+  );
+  console.error(`🔴 WEBHOOK: ${row.event} #${row.id} to subscription ${row.subscription_id} failed (${error})${dead ? ' - giving up' : `, retry at ${next}`}`);
+  await logCallEvent(row.call_id, 'webhook.failed', {
+    subscription_id: row.subscription_id, event: row.event, attempt: attempts, error: error.slice(0, 500), next_attempt_at: next
+  });
+}
+
+let webhookDeliveriesBusy = false;
+async function processWebhookDeliveries() {
+  if (webhookDeliveriesBusy) return;
+  webhookDeliveriesBusy = true;
+  try {
+    const due = await dbAll(
+      `SELECT * FROM webhook_deliveries WHERE status = 'pending' AND next_attempt_at <= ? ORDER BY id LIMIT 50`,
+      [new Date().toISOString()]
+    );
+    for (const row of due) {
+      await dbRun(`UPDATE webhook_deliveries SET status = 'sending', updated_at = CURRENT_TIMESTAMP WHERE id = ?`, [row.id]);
+      try {
+        await deliverWebhook(row);
+      } catch (e) {
+        console.error('Webhook deliver error:', e);
+        await dbRun(`UPDATE webhook_deliveries SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'sending'`, [row.id]);
+      }
+    }
+  } finally {
+    webhookDeliveriesBusy = false;
+  }
+}
+
+// On boot: requeue anything interrupted mid-send and start the worker
+async function resumeWebhookDeliveries() {
+  await dbRun(`UPDATE webhook_deliveries SET status = 'pending', updated_at = CURRENT_TIMESTAMP WHERE status = 'sending'`);
+  const pending = await dbGet(`SELECT COUNT(*) AS n FROM webhook_deliveries WHERE status = 'pending'`);
+  console.log('Outbound webhook deliveries pending:', pending?.n || 0);
+  setInterval(() => processWebhookDeliveries().catch(e => console.error('Webhook delivery error:', e)), OUTBOUND_WEBHOOK_POLL_MS);
+  processWebhookDeliveries().catch(e => console.error('Webhook delivery error:', e));
+}
+
+function webhookFieldsFromBody(body = {}, { partial = false } = {}) {
+  const fields = {};
+  if (body.name !== undefined || !partial) {
+    fields.name = String(body.name || '').trim();
+    if (!fields.name) return { error: 'name is required' };
+  }
+  if (body.url !== undefined || !partial) {
+    fields.url = String(body.url || '').trim();
+    if (!/^https?:\/\/\S+$/.test(fields.url)) return { error: 'url must be an http(s) URL' };
+  }
+  if (body.events !== undefined || !partial) {
+    const events = body.events;
+    if (!Array.isArray(events) || !events.length || !events.every(e => e === '*' || WEBHOOK_EVENTS.includes(e))) {
+      return { error: `events must be a list of "*" or ${WEBHOOK_EVENTS.join(', ')}` };
+    }
+    fields.events = JSON.stringify([...new Set(events)]);
+  }
+  if (body.active !== undefined) fields.active = body.active ? 1 : 0;
+  return { fields };
+}
+
+// ------------------------------- Customers -----------------------------------
+const DAMAGE_TYPES = ['flood', 'water', 'mold', 'fire', 'storm'];
+const URGENCY_LEVELS = ['low', 'medium', 'high', 'emergency'];
+
+// Dashboard field name -> customers column
+const CUSTOMER_FIELDS = {
+  phoneNumber: 'phone_number',
+  name: 'name',
+  address: 'address',
+  damageType: 'damage_type',
+  urgency: 'urgency',
+  notes: 'notes'
+};
+
+// Returns { fields } with columns to write, or { error } describing the first bad value
+function customerFieldsFromBody(body = {}) {
+  const fields = {};
+  for (const [key, col] of Object.entries(CUSTOMER_FIELDS)) {
+    if (body[key] === undefined) continue;
+    const v = body[key] === null ? null : String(body[key]).trim();
+    fields[col] = v === '' ? null : v;
+  }
+  if ('phone_number' in fields) {
+    fields.phone_number = normalizePhone(fields.phone_number);
+    if (!fields.phone_number) return { error: 'A valid phone number is required' };
+  }
+  if (fields.damage_type && !DAMAGE_TYPES.includes(fields.damage_type)) {
+    return { error: `damageType must be one of: ${DAMAGE_TYPES.join(', ')}` };
+  }
+  if (fields.urgency && !URGENCY_LEVELS.includes(fields.urgency)) {
+    return { error: `urgency must be one of: ${URGENCY_LEVELS.join(', ')}` };
+  }
+  return { fields };
+}
+
+async function findOrCreateCustomer(phone) {
+  const phone_number = normalizePhone(phone);
+  if (!phone_number) return null;
+  await dbRun('INSERT INTO customers (phone_number) VALUES (?) ON CONFLICT(phone_number) DO NOTHING', [phone_number]);
+  return dbGet('SELECT * FROM customers WHERE phone_number = ?', [phone_number]);
+}
+
+// ------------------------------ Contractors ----------------------------------
+const AVAILABILITY_STATES = ['available', 'busy', 'unavailable'];
+
+// Words a contractor might list under specialties for each customer damage type
+const DAMAGE_SPECIALTY_TERMS = {
+  flood: ['flood'],
+  water: ['water'],
+  mold: ['mold', 'mould'],
+  fire: ['fire', 'smoke'],
+  storm: ['storm', 'wind', 'roof']
+};
+
+const CONTRACTOR_FIELDS = {
+  phoneNumber: 'phone_number',
+  name: 'name',
+  company: 'company',
+  serviceArea: 'service_area',
+  serviceZipCodes: 'service_zip_codes',
+  specialties: 'specialties',
+  rating: 'rating',
+  availability: 'availability',
+  notes: 'notes'
+};
+
+// "flood, Water Damage ,mold" -> "flood,water damage,mold"
+function normalizeList(v) {
+  const items = (Array.isArray(v) ? v : String(v || '').split(','))
+    .map(x => String(x).trim().toLowerCase())
+    .filter(Boolean);
+  return items.length ? [...new Set(items)].join(',') : null;
+}
+
+function contractorFieldsFromBody(body = {}) {
+  const fields = {};
+  for (const [key, col] of Object.entries(CONTRACTOR_FIELDS)) {
+    if (body[key] === undefined) continue;
+    const v = body[key] === null ? null : (Array.isArray(body[key]) ? body[key] : String(body[key]).trim());
+    fields[col] = v === '' ? null : v;
+  }
+  if ('phone_number' in fields) {
+    fields.phone_number = normalizePhone(fields.phone_number);
+    if (!fields.phone_number) return { error: 'A valid phone number is required' };
+  }
+  if ('specialties' in fields) fields.specialties = normalizeList(fields.specialties);
+  if ('service_zip_codes' in fields) {
+    fields.service_zip_codes = normalizeList(fields.service_zip_codes);
+    const bad = (fields.service_zip_codes || '').split(',').filter(z => z && !/^\d{1,5}\*?$/.test(z));
+    if (bad.length) return { error: `Invalid ZIP code entries: ${bad.join(', ')}` };
+  }
+  if (fields.rating !== undefined && fields.rating !== null) {
+    const r = Number(fields.rating);
+    if (!Number.isFinite(r) || r < 1 || r > 5) return { error: 'rating must be between 1 and 5' };
+    fields.rating = r;
+  }
+  if (fields.availability && !AVAILABILITY_STATES.includes(fields.availability)) {
+    return { error: `availability must be one of: ${AVAILABILITY_STATES.join(', ')}` };
+  }
+  return { fields };
+}
+
+// ZIP entries are exact ("33101") or prefixes ("331*")
+function zipMatches(entries, zip) {
+  return entries.some(e => e.endsWith('*') ? zip.startsWith(e.slice(0, -1)) : e === zip);
+}
+
+function contractorServesZip(contractor, zip) {
+  return zipMatches((contractor.service_zip_codes || '').split(',').filter(Boolean), zip);
+}
+
+function contractorHandlesDamage(contractor, damageType) {
+  const terms = DAMAGE_SPECIALTY_TERMS[damageType] || [damageType];
+  const specialties = (contractor.specialties || '').split(',');
+  return specialties.some(sp => terms.some(t => sp.includes(t)));
+}
+
+async function findMatchingContractors({ zip, damageType, includeBusy = false }) {
+  const states = includeBusy ? ['available', 'busy'] : ['available'];
+  const rows = await dbAll(
+    `SELECT * FROM contractors WHERE availability IN (${states.map(() => '?').join(', ')})`,
+    states
+  );
+  return rows
+    .filter(c => !zip || contractorServesZip(c, zip))
+    .filter(c => !damageType || contractorHandlesDamage(c, damageType))
+    .sort((a, b) =>
+      (a.availability === 'available' ? 0 : 1) - (b.availability === 'available' ? 0 : 1) ||
+      (b.rating || 0) - (a.rating || 0));
+}
+
+// ------------------------ Conferences (3-way calls) ---------------------------
+// Each party is dialed separately; the first leg to answer creates the Telnyx
+// conference and the rest join it. Legs are tracked in calls via conference_name.
+const CONFERENCE_ROLES = ['customer', 'contractor', 'dispatcher'];
+const conferenceLocks = new Map(); // key: conference name -> tail of pending work
+
+function isConferenceLeg(callType) {
+  return typeof callType === 'string' && callType.startsWith('conference_');
+}
+
+// Serialise create/join per conference so two legs answering together don't both create it
+function withConferenceLock(name, fn) {
+  const prev = conferenceLocks.get(name) || Promise.resolve();
+  const next = prev.then(fn, fn);
+  const tail = next.catch(() => {});
+  conferenceLocks.set(name, tail);
+  tail.then(() => { if (conferenceLocks.get(name) === tail) conferenceLocks.delete(name); });
+  return next;
+}
+
+async function createTelnyxConference(callId, name) {
+  const r = await fetch('https://api.telnyx.com/v2/conferences', {
+    method: 'POST', headers: telnyxHeaders(),
+    body: JSON.stringify({ call_control_id: callId, name, beep_enabled: 'always', start_conference_on_create: true })
+  });
+  if (!r.ok) { console.error('conference create failed:', await r.text()); return null; }
+  const json = await r.json();
+  return json?.data?.id || null;
+}
+
+async function joinTelnyxConference(conferenceId, callId) {
+  const r = await fetch(`https://api.telnyx.com/v2/conferences/${conferenceId}/actions/join`, {
+    method: 'POST', headers: telnyxHeaders(), body: JSON.stringify({ call_control_id: callId })
+  });
+  if (!r.ok) console.error('conference join failed:', await r.text());
+  return r.ok;
+}
+
+async function startConferenceRecording(conferenceId) {
+  const r = await fetch(`https://api.telnyx.com/v2/conferences/${conferenceId}/actions/record_start`, {
+    method: 'POST', headers: telnyxHeaders(), body: JSON.stringify({ format: 'mp3' })
+  });
+  if (!r.ok) console.error('conference record_start failed:', await r.text());
+}
+
+// Hang up every leg of a conference that's still up (optionally sparing one)
+async function hangupConferenceLegs(name, exceptCallId = null) {
+  const legs = await dbAll(
+    `SELECT call_id FROM calls WHERE conference_name = ? AND status != 'completed' AND call_id != ?`,
+    [name, exceptCallId || '']
+  );
+  for (const leg of legs) await hangupCall(leg.call_id);
+}
+
+// -------------------------------- Voicemail ----------------------------------
+// routeToVoicemail plays the instructions; when they finish we start a separate recording
+// with a beep, a length cap and silence detection, next to the whole-call recording.
+// Each message is a voicemails row linked to the call; reviewed_at stays NULL ("unheard")
+// until someone marks it reviewed. client_state carries the stage:
+//   { voicemail: 'prompt', reason }  instructions playing
+//   { voicemail_id }                  the recording (comes back on call.recording.saved)
+//   { voicemail: 'done' }             thank-you message, hang up after it
+const VOICEMAIL_REASONS = ['menu', 'no_answer', 'no_reps', 'after_hours', 'transfer_failed'];
+
+// `prompt` is TTS text or an IVR prompt object ({ text } / { audio_url })
+async function routeToVoicemail(customerCallId, prompt, reason = 'transfer_failed') {
+  await dbRun('DELETE FROM rep_hunts WHERE customer_call_id = ?', [customerCallId]);
+  await clearFields(customerCallId, ['pending_human_call_id']);
+  const p = typeof prompt === 'string' ? { text: prompt } : prompt;
+  await playPrompt(customerCallId, p?.audio_url || p?.text ? p : {
+    text: "I'm sorry, our representative is unavailable. Please leave your name, phone number, address, and details about the water damage after the beep."
+  }, { voicemail: 'prompt', reason });
+}
+
+async function startVoicemailRecording(callId, reason) {
+  const call = await dbGet('SELECT status, from_number, customer_id FROM calls WHERE call_id = ?', [callId]);
+  if (!call || call.status === 'completed') return;
+  const open = await dbGet(`SELECT id FROM voicemails WHERE call_id = ? AND status = 'recording'`, [callId]);
+  if (open) return;
+
+  const { lastID } = await dbRun(
+    `INSERT INTO voicemails (call_id, customer_id, from_number, reason, status, started_at) VALUES (?, ?, ?, ?, 'recording', ?)`,
+    [callId, call.customer_id, call.from_number, VOICEMAIL_REASONS.includes(reason) ? reason : 'transfer_failed', new Date().toISOString()]
+  );
+  const r = await fetch(`https://api.telnyx.com/v2/calls/${callId}/actions/record_start`, {
+    method: 'POST',
+    headers: telnyxHeaders(),
+    body: JSON.stringify({
+      format: 'mp3',
+      channels: 'single',
+      play_beep: true,
+      max_length: VOICEMAIL_MAX_SECS,
+      timeout_secs: VOICEMAIL_SILENCE_SECS,
+      client_state: b64({ voicemail_id: lastID })
+    })
+  }).catch(e => ({ ok: false, text: async () => String(e) }));
+  if (!r.ok) {
+    const error = await r.text();
+    console.error(`📼 VOICEMAIL: record_start failed for ${callId}:`, error);
+    await logCallEvent(callId, 'voicemail.failed', { voicemail_id: lastID, error: error.slice(0, 500) });
+    await dbRun(`UPDATE voicemails SET status = 'failed', error = ? WHERE id = ?`, [error.slice(0, 500), lastID]);
+    return;
+  }
+  console.log(`📼 VOICEMAIL: recording #${lastID} on ${callId} (${reason})`);
+  await logCallEvent(callId, 'voicemail.recording', { voicemail_id: lastID, reason });
+}
+
+// speak.ended / playback.ended for a voicemail stage; true if it was ours
+async function onVoicemailPromptEnded(callId, clientState) {
+  if (clientState?.voicemail === 'prompt') {
+    await startVoicemailRecording(callId, clientState.reason);
+    return true;
+  }
+  if (clientState?.voicemail === 'done') {
+    await hangupCall(callId);
+    return true;
+  }
+  return false;
+}
+
+async function onVoicemailSaved(data, clientState) {
+  const p = data.payload || data;
+  const id = clientState.voicemail_id;
+  const vm = await dbGet('SELECT * FROM voicemails WHERE id = ?', [id]);
+  if (!vm) return;
+
+  const started = Date.parse(p.recording_started_at || vm.started_at);
+  const ended = Date.parse(p.recording_ended_at || new Date().toISOString());
+  const duration = Number.isFinite(started) && Number.isFinite(ended) ? Math.max(0, Math.round((ended - started) / 1000)) : null;
+  await dbRun(
+    `UPDATE voicemails SET status = 'saved', recording_url = ?, duration_secs = ?, saved_at = CURRENT_TIMESTAMP WHERE id = ?`,
+    [p.recording_urls?.mp3 || null, duration, id]
+  );
+  await mirrorRecording('voicemail', id, p.recording_urls?.mp3, `voicemails/${safeKeySegment(vm.call_id)}-${id}.mp3`, p.recording_id);
+  console.log(`📼 VOICEMAIL: #${id} saved for ${vm.call_id} (${duration ?? '?'}s)`);
+  await logCallEvent(vm.call_id, 'voicemail.saved', { voicemail_id: id, duration_seconds: duration });
+  const saved = await dbGet('SELECT recording_url FROM voicemails WHERE id = ?', [id]);
+  await emitEvent('voicemail.left', vm.call_id, {
+    voicemail: { id, reason: vm.reason, duration_seconds: duration, recording_url: webhookVoicemailLink(id, saved?.recording_url) }
+  });
+
+  // Recording stopped on silence or the length cap with the caller still on the line
+  const call = await dbGet('SELECT status FROM calls WHERE call_id = ?', [vm.call_id]);
+  if (call && call.status !== 'completed') {
+    await speakToCall(vm.call_id, "Thank you, we've received your message and will call you back shortly. Goodbye.", { voicemail: 'done' });
+  }
+}
+
+// ------------------------ State (Pending transfers) ---------------------------
+// A rep transfer in flight is a pending_transfers row keyed by the rep leg:
+//   dialing  - rep leg ringing; at deadline_at the rep is dropped and the hunt moves on
+//   greeting - rep answered and hears the greeting; bridge on speak.ended, or at deadline_at at the latest
+// Only the timer handles live in memory, so recoverPendingTransfers() can re-arm them after a restart.
+const transferTimers = new Map(); // key: humanCallId -> timeoutId
+
+function armTransferTimer(humanCallId, deadlineIso) {
+  disarmTransferTimer(humanCallId);
+  const delay = Math.max(0, new Date(deadlineIso).getTime() - Date.now());
+  transferTimers.set(humanCallId, setTimeout(() => {
+    transferTimers.delete(humanCallId);
+    onTransferDeadline(humanCallId).catch(e => console.error('Transfer deadline error:', e));
+  }, delay));
+}
+
+function disarmTransferTimer(humanCallId) {
+  const t = transferTimers.get(humanCallId);
+  if (t) { clearTimeout(t); transferTimers.delete(humanCallId); }
+}
+
+async function savePendingTransfer(humanCallId, customerCallId, state, delayMs) {
+  const deadline_at = new Date(Date.now() + delayMs).toISOString();
+  await dbRun(
+    `INSERT INTO pending_transfers (human_call_id, customer_call_id, state, deadline_at) VALUES (?, ?, ?, ?)
+     ON CONFLICT(human_call_id) DO UPDATE SET state = excluded.state, deadline_at = excluded.deadline_at,
+       updated_at = CURRENT_TIMESTAMP`,
+    [humanCallId, customerCallId, state, deadline_at]
+  );
+  armTransferTimer(humanCallId, deadline_at);
+}
+
+// Removes the transfer and returns the row it removed (null if there wasn't one)
+async function dropPendingTransfer(humanCallId) {
+  disarmTransferTimer(humanCallId);
+  const row = await dbGet('SELECT * FROM pending_transfers WHERE human_call_id = ?', [humanCallId]);
+  if (row) await dbRun('DELETE FROM pending_transfers WHERE human_call_id = ?', [humanCallId]);
+  return row || null;
+}
+
+async function dropPendingTransfersForCustomer(customerCallId) {
+  const rows = await dbAll('SELECT human_call_id FROM pending_transfers WHERE customer_call_id = ?', [customerCallId]);
+  for (const r of rows) await dropPendingTransfer(r.human_call_id);
+  return rows;
+}
+
+async function onTransferDeadline(humanCallId) {
+  const t = await dropPendingTransfer(humanCallId);
+  if (!t) return;
+
+  if (t.state === 'greeting') {
+    await attemptBridge(t.customer_call_id, humanCallId);
+    return;
+  }
+
+  // Rep never picked up: move on to the next one in the group
+  await logCallEvent(t.customer_call_id, 'transfer.no_answer', { rep_call_id: humanCallId });
+  await hangupCall(humanCallId);
+  await continueHunt(t.customer_call_id);
+}
+
+// Live state of a leg per Telnyx; null when Telnyx can't tell us (treated as alive)
+async function telnyxCallAlive(callId) {
+  try {
+    const r = await fetch(`https://api.telnyx.com/v2/calls/${callId}`, { headers: telnyxHeaders() });
+    if (r.status === 404) return false;
+    if (!r.ok) return null;
+    const json = await r.json();
+    return typeof json?.data?.is_alive === 'boolean' ? json.data.is_alive : null;
+  } catch {
+    return null;
+  }
+}
+
+// On boot: settle every transfer that was in flight when the process stopped
+async function recoverPendingTransfers() {
+  const rows = await dbAll('SELECT * FROM pending_transfers ORDER BY created_at');
+  if (rows.length) console.log(`🔁 RECOVERY: ${rows.length} pending transfer(s)`);
+
+  for (const t of rows) {
+    try {
+      const cust = await dbGet('SELECT status FROM calls WHERE call_id = ?', [t.customer_call_id]);
+      const custAlive = cust && cust.status !== 'completed' && (await telnyxCallAlive(t.customer_call_id)) !== false;
+      const repAlive = (await telnyxCallAlive(t.human_call_id)) !== false;
+
+      if (!custAlive) {
+        console.log(`🔁 RECOVERY: customer ${t.customer_call_id} gone, releasing rep leg ${t.human_call_id}`);
+        await dropPendingTransfer(t.human_call_id);
+        await finishHunt(t.customer_call_id);
+        if (repAlive) await hangupCall(t.human_call_id);
+      } else if (!repAlive) {
+        console.log(`🔁 RECOVERY: rep leg ${t.human_call_id} gone, continuing hunt for ${t.customer_call_id}`);
+        await dropPendingTransfer(t.human_call_id);
+        await continueHunt(t.customer_call_id);
+      } else {
+        // Both legs up: re-arm; a deadline already past fires immediately
+        console.log(`🔁 RECOVERY: re-arming ${t.state} transfer ${t.customer_call_id} -> ${t.human_call_id}`);
+        armTransferTimer(t.human_call_id, t.state === 'greeting' ? new Date().toISOString() : t.deadline_at);
+      }
+    } catch (e) {
+      console.error('Transfer recovery error for', t.human_call_id, e);
+    }
+  }
+}
+
+// ------------------------------ Ring groups ----------------------------------
+// connectToHuman hunts through a rep group instead of a single number:
+//   sequential   - members in position order, one at a time
+//   round_robin  - like sequential, but starting after whoever was offered the last call
+//   simultaneous - every available member at once; first to answer wins
+// Each rep leg rings for the group's ring timeout (a pending_transfers deadline). The hunt
+// itself is a rep_hunts row holding the reps not yet dialed and the leg that won, so it
+// survives a restart like the transfers do. With no groups configured, HUMAN_PHONE_NUMBER
+// acts as a one-member sequential group.
+const REP_STATUSES = ['available', 'busy', 'offline'];
+const RING_STRATEGIES = ['sequential', 'round_robin', 'simultaneous'];
+
+// Group by name, else the default group, else the first one, else HUMAN_PHONE_NUMBER.
+// Returns { name, strategy, ring_timeout_ms, group_id, reps: [{ id, name, phone_number }] } or null.
+async function resolveRingGroup(name) {
+  const group = (name && await dbGet('SELECT * FROM rep_groups WHERE name = ?', [name])) ||
+    await dbGet('SELECT * FROM rep_groups ORDER BY is_default DESC, id LIMIT 1');
+
+  if (!group) return HUMAN_PHONE_NUMBER ? singleNumberGroup('default', HUMAN_PHONE_NUMBER) : null;
+
+  let reps = await dbAll(
+    `SELECT r.id, r.name, r.phone_number FROM rep_group_members m JOIN reps r ON r.id = m.rep_id
+     WHERE m.group_id = ? AND r.status = 'available' ORDER BY m.position, r.id`,
+    [group.id]
+  );
+  if (group.strategy === 'round_robin' && group.last_rep_id) {
+    const i = reps.findIndex(r => r.id === group.last_rep_id);
+    if (i >= 0) reps = [...reps.slice(i + 1), ...reps.slice(0, i + 1)];
+  }
+  return {
+    name: group.name, strategy: group.strategy, ring_timeout_ms: (group.ring_timeout_secs || 20) * 1000,
+    group_id: group.id, reps
+  };
+}
+
+function singleNumberGroup(name, phoneNumber) {
+  return {
+    name, strategy: 'sequential', ring_timeout_ms: HUMAN_ANSWER_TIMEOUT_MS, group_id: null,
+    reps: [{ id: null, name: null, phone_number: phoneNumber }]
+  };
+}
+
+async function getHunt(customerCallId) {
+  return dbGet('SELECT * FROM rep_hunts WHERE customer_call_id = ?', [customerCallId]);
+}
+
+async function finishHunt(customerCallId) {
+  await dbRun('DELETE FROM rep_hunts WHERE customer_call_id = ?', [customerCallId]);
+}
+
+// Dial one rep for a waiting customer. Returns true if a leg is now ringing.
+async function dialRep(customerCallId, rep, hunt) {
+  if (rep.id) {
+    const now = await dbGet('SELECT status FROM reps WHERE id = ?', [rep.id]);
+    if (now?.status !== 'available') { // went busy/offline since the hunt started
+      await logCallEvent(customerCallId, 'transfer.skipped', { rep_id: rep.id, rep: rep.name || null, rep_status: now?.status || null });
+      return false;
+    }
+  }
+
+  // Reps see the brand's number, so they know which line the caller dialed
+  const customer = await dbGet('SELECT to_number FROM calls WHERE call_id = ?', [customerCallId]);
+  const from = numberConfig(customer?.to_number)?.number || TELNYX_PHONE_NUMBER;
+  const ringSecs = Math.ceil(hunt.ring_timeout_ms / 1000);
+  const humanCallId = await dialOutbound(rep.phone_number, { customer_call_id: customerCallId, rep_id: rep.id },
+    { from, timeoutSecs: ringSecs + 5 });
+  if (!humanCallId) {
+    await logCallEvent(customerCallId, 'transfer.dial_failed', { rep_id: rep.id || null, rep: rep.name || null, number: rep.phone_number });
+    return false;
+  }
+  await logCallEvent(customerCallId, 'transfer.dial', {
+    rep_id: rep.id || null, rep: rep.name || null, number: rep.phone_number, rep_call_id: humanCallId, ring_secs: ringSecs
+  });
+
+  const now = new Date().toISOString();
+  await upsertFields(customerCallId, { pending_human_call_id: humanCallId });
+  await upsertCall({
+    call_id: humanCallId,
+    direction: 'outbound',
+    from_number: from,
+    to_number: rep.phone_number,
+    status: 'initiated',
+    start_time: now,
+    call_type: 'human_representative',
+    linked_customer_call_id: customerCallId,
+    human_dial_started_at: now,
+    rep_id: rep.id
+  });
+  if (rep.id && hunt.strategy === 'round_robin' && hunt.group_id) {
+    await dbRun('UPDATE rep_groups SET last_rep_id = ? WHERE id = ?', [rep.id, hunt.group_id]);
+  }
+  await savePendingTransfer(humanCallId, customerCallId, 'dialing', hunt.ring_timeout_ms);
+  console.log(`📞 HUNT: ${customerCallId} ringing ${rep.name || rep.phone_number} (${humanCallId})`);
+  return true;
+}
+
+// A rep leg dropped out (no answer, declined, hung up during the greeting). Ring the next
+// rep if there is one; once every rep is exhausted the customer goes to voicemail.
+async function continueHunt(customerCallId) {
+  const cust = await dbGet('SELECT status FROM calls WHERE call_id = ?', [customerCallId]);
+  if (!cust || cust.status === 'completed') { await finishHunt(customerCallId); return; }
+
+  const hunt = await getHunt(customerCallId);
+  if (!hunt) {
+    await logCallEvent(customerCallId, 'transfer.exhausted', { group: null });
+    await emitEvent('transfer.failed', customerCallId, { transfer: { reason: 'no_answer', group: null } });
+    await routeToVoicemail(customerCallId, "Sorry, our representative couldn't take the call. Please leave your name, phone, address, and details after the beep.");
+    return;
+  }
+
+  const ringing = await dbGet('SELECT COUNT(*) AS n FROM pending_transfers WHERE customer_call_id = ?', [customerCallId]);
+  if (ringing?.n) return; // simultaneous: other reps are still ringing
+
+  await dbRun('UPDATE rep_hunts SET answered_call_id = NULL WHERE customer_call_id = ?', [customerCallId]);
+  const queue = JSON.parse(hunt.queue || '[]');
+  while (queue.length) {
+    const rep = queue.shift();
+    await dbRun('UPDATE rep_hunts SET queue = ? WHERE customer_call_id = ?', [JSON.stringify(queue), customerCallId]);
+    if (await dialRep(customerCallId, rep, hunt)) return;
+  }
+
+  console.log(`📞 HUNT: ${customerCallId} exhausted group ${hunt.group_name}`);
+  await logCallEvent(customerCallId, 'transfer.exhausted', { group: hunt.group_name });
+  await emitEvent('transfer.failed', customerCallId, { transfer: { reason: 'no_answer', group: hunt.group_name } });
+  await routeToVoicemail(customerCallId, "Sorry, none of our representatives could take your call right now. Please leave your name, phone number, address, and details about the water damage after the beep.", 'no_answer');
+}
+
+// First rep to answer claims the customer. False means someone else already has.
+async function claimHuntAnswer(customerCallId, humanCallId) {
+  const hunt = await getHunt(customerCallId);
+  if (!hunt) return true; // single-leg transfer from before ring groups
+  const { changes } = await dbRun(
+    'UPDATE rep_hunts SET answered_call_id = ? WHERE customer_call_id = ? AND (answered_call_id IS NULL OR answered_call_id = ?)',
+    [humanCallId, customerCallId, humanCallId]
+  );
+  return changes > 0;
+}
+
+async function cancelOtherRepLegs(customerCallId, winnerCallId) {
+  const others = await dbAll(
+    'SELECT human_call_id FROM pending_transfers WHERE customer_call_id = ? AND human_call_id != ?',
+    [customerCallId, winnerCallId]
+  );
+  for (const o of others) {
+    await dropPendingTransfer(o.human_call_id);
+    await hangupCall(o.human_call_id);
+  }
+}
+
+// ---------------------------- Business hours ---------------------------------
+// One weekly schedule in a single timezone, plus dated holiday overrides. Outside open
+// hours callers skip the menu: they hear the after-hours greeting and either ring the
+// on-call emergency number or go straight to voicemail. With no schedule saved (or the
+// schedule disabled) we're always open, which is how the system behaved before.
+//
+// weekly: { mon: [{ open: "08:00", close: "18:00" }], sat: [], ... } — a day that's
+// missing or empty is closed; close <= open runs past midnight into the next day.
+// Holidays replace that date's weekly hours: no hours means closed all day.
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const AFTER_HOURS_MODES = ['emergency', 'voicemail'];
+const DEFAULT_AFTER_HOURS_GREETING = "Thanks for calling {brand}. Our office is closed right now.";
+const HHMM = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+function validTimezone(tz) {
+  try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch { return false; }
+}
+
+function validateHours(hours, at, errors) {
+  if (!Array.isArray(hours)) { errors.push(`${at} must be a list of { open, close }`); return; }
+  hours.forEach((h, i) => {
+    if (!HHMM.test(h?.open || '') || !HHMM.test(h?.close || '')) errors.push(`${at}[${i}] needs open/close as HH:MM`);
+  });
+}
+
+// Calendar date, weekday and HH:MM of an instant as seen in `timeZone`
+function localParts(date, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', weekday: 'short',
+    hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(date).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    weekday: parts.weekday.toLowerCase().slice(0, 3),
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+function previousDate(ymd) {
+  const d = new Date(`${ymd}T12:00:00Z`);
+  d.setUTCDate(d.getUTCDate() - 1);
+  return d.toISOString().slice(0, 10);
+}
+
+async function loadSchedule() {
+  const row = await dbGet('SELECT * FROM business_schedule WHERE id = 1');
+  if (!row) return null;
+  const holidays = await dbAll('SELECT * FROM schedule_holidays ORDER BY date');
+  return {
+    ...row,
+    enabled: !!row.enabled,
+    weekly: JSON.parse(row.weekly || '{}'),
+    holidays: holidays.map(h => ({ ...h, hours: JSON.parse(h.hours || '[]') }))
+  };
+}
+
+// Open/closed at `at`, and what an inbound call would do about it
+async function evaluateSchedule(at = new Date()) {
+  const schedule = await loadSchedule();
+  if (!schedule?.enabled) return { open: true, reason: 'no_schedule', route: 'ivr' };
+
+  const local = localParts(at, schedule.timezone);
+  const holidayOn = (ymd) => schedule.holidays.find(h => h.date === ymd);
+  const hoursOn = (ymd, weekday) => holidayOn(ymd)?.hours ?? schedule.weekly[weekday] ?? [];
+
+  const yesterday = previousDate(local.date);
+  const yesterdayWeekday = WEEKDAYS[(WEEKDAYS.indexOf(local.weekday) + 6) % 7];
+  const open =
+    hoursOn(local.date, local.weekday).some(h =>
+      h.close > h.open ? local.time >= h.open && local.time < h.close : local.time >= h.open) ||
+    hoursOn(yesterday, yesterdayWeekday).some(h => h.close <= h.open && local.time < h.close);
+
+  const holiday = holidayOn(local.date);
+  const decision = {
+    open,
+    reason: open ? 'open_hours' : holiday ? 'holiday' : 'after_hours',
+    timezone: schedule.timezone,
+    local_date: local.date,
+    local_time: local.time,
+    weekday: local.weekday,
+    holiday: holiday ? holiday.name : null
+  };
+  if (open) return { ...decision, route: 'ivr' };
+
+  const emergencyNumber = schedule.emergency_number || AFTER_HOURS_EMERGENCY_NUMBER;
+  return {
+    ...decision,
+    route: schedule.after_hours_mode === 'emergency' && emergencyNumber ? 'emergency' : 'voicemail',
+    emergency_number: emergencyNumber || null,
+    greeting: schedule.after_hours_greeting || DEFAULT_AFTER_HOURS_GREETING
+  };
+}
+
+async function routeAfterHours(callId, decision) {
+  console.log(`🌙 AFTER HOURS: ${callId} (${decision.reason}${decision.holiday ? `: ${decision.holiday}` : ''}) → ${decision.route}`);
+  if (decision.route === 'emergency') {
+    await speakToCall(callId, `${decision.greeting} Please hold while we connect you to our on-call emergency technician.`);
+    await connectToHuman(callId, { number: decision.emergency_number });
+    return;
+  }
+  await routeToVoicemail(callId, `${decision.greeting} Please leave your name, phone number, address, and details about the water damage after the beep, and we'll call you back first thing.`, 'after_hours');
+}
+
+// ---------------------------------- Auth -------------------------------------
+// Staff log in with a password and get a session cookie; integrations use API keys
+// (Authorization: Bearer lk_... or X-API-Key). authenticate() runs in front of every
+// route except webhooks (they verify their own signatures), /health, the login page
+// and signed /media links.
+//   readonly   - every GET outside /api/admin
+//   dispatcher - plus writes outside /api/admin (placing calls, editing leads)
+//   admin      - everything
+// API keys carry scopes instead of a role: "<resource>:read", "<resource>:write"
+// (implies read) or "*", where resource is what the route acts on (API_RESOURCES).
+const ROLES = ['readonly', 'dispatcher', 'admin'];
+const API_RESOURCES = ['calls', 'customers', 'contractors', 'voicemails', 'media', 'admin'];
+const API_PATH_RESOURCES = {
+  'calls': 'calls', 'call-customer': 'calls', 'call-contractor': 'calls', 'three-way-call': 'calls',
+  'conferences': 'calls', 'dashboard': 'calls', 'customers': 'customers', 'contractors': 'contractors',
+  'campaigns': 'calls', 'reps': 'calls', 'voicemails': 'voicemails', 'admin': 'admin', 'auth': 'auth'
+};
+const SESSION_COOKIE = 'sid';
+const loginFailures = new Map(); // `${ip}|${username}` -> { count, first }
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  return new Promise((res, rej) => crypto.scrypt(password, salt, 64, (err, key) => {
+    err ? rej(err) : res(`scrypt$${salt.toString('base64')}$${key.toString('base64')}`);
+  }));
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return Promise.resolve(false);
+  const expected = Buffer.from(hash, 'base64');
+  return new Promise((res) => crypto.scrypt(String(password), Buffer.from(salt, 'base64'), expected.length, (err, key) => {
+    res(!err && crypto.timingSafeEqual(key, expected));
+  }));
+}
+
+function tokenHash(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function parseCookies(header) {
+  const out = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i > 0) out[part.slice(0, i).trim()] = decodeURIComponent(part.slice(i + 1).trim());
+  }
+  return out;
+}
+
+function sessionCookie(value, maxAgeSecs) {
+  return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAgeSecs}${SESSION_COOKIE_SECURE ? '; Secure' : ''}`;
+}
+
+function routeResource(req) {
+  if (req.path.startsWith('/media/')) return 'media';
+  const m = req.path.match(/^\/api\/([^/]+)/);
+  if (!m) return 'dashboard';
+  return API_PATH_RESOURCES[m[1]] || 'admin'; // unmapped /api routes are admin-only until mapped
+}
+
+function isPublicRoute(req) {
+  const p = req.path;
+  return p.startsWith('/webhooks/') || p === '/health' || p === '/login.html' || p === '/api/auth/login'
+    || (p.startsWith('/media/') && req.query.signature !== undefined); // the route checks the signature
+}
+
+function validScope(scope) {
+  if (scope === '*') return true;
+  const [resource, action] = String(scope).split(':');
+  return API_RESOURCES.includes(resource) && ['read', 'write'].includes(action);
+}
+
+function authAllows(auth, resource, action) {
+  if (resource === 'auth') return true;
+  if (auth.type === 'api_key') {
+    if (resource === 'dashboard') return false;
+    return auth.scopes.some(s => s === '*' || s === `${resource}:write` || (action === 'read' && s === `${resource}:read`));
+  }
+  if (resource === 'dashboard' || auth.role === 'admin') return true;
+  if (resource === 'admin') return false;
+  return action === 'read' || auth.role === 'dispatcher';
+}
+
+// API key header first, then the session cookie
+async function identifyRequest(req) {
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(\S+)$/i)?.[1];
+  const apiKey = req.get('X-API-Key') || (bearer?.startsWith('lk_') ? bearer : null);
+  if (apiKey) {
+    const key = await dbGet('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL', [tokenHash(apiKey)]);
+    if (!key) return null;
+    await dbRun('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?', [key.id]);
+    return { type: 'api_key', id: key.id, name: key.name, scopes: JSON.parse(key.scopes || '[]') };
+  }
+
+  const sid = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  if (!sid) return null;
+  const row = await dbGet(
+    `SELECT s.id AS session_id, u.id, u.username, u.role FROM sessions s JOIN users u ON u.id = s.user_id
+     WHERE s.id = ? AND s.expires_at > ? AND u.disabled = 0`,
+    [tokenHash(sid), new Date().toISOString()]
+  );
+  if (!row) return null;
+  await dbRun('UPDATE sessions SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?', [row.session_id]);
+  return { type: 'user', id: row.id, name: row.username, role: row.role, sessionId: row.session_id };
+}
+
+async function authenticate(req, res, next) {
+  if (isPublicRoute(req)) return next();
+  try {
+    req.auth = await identifyRequest(req);
+  } catch (e) {
+    console.error('auth error:', e);
+    return res.status(500).json({ success: false, error: 'Authentication failed' });
+  }
+  const resource = routeResource(req);
+  if (!req.auth) {
+    if (resource === 'dashboard' && req.method === 'GET') return res.redirect('/login.html');
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+  const action = req.method === 'GET' || req.method === 'HEAD' ? 'read' : 'write';
+  if (!authAllows(req.auth, resource, action)) {
+    return res.status(403).json({ success: false, error: 'Forbidden' });
+  }
+  next();
+}
+
+// Who did what. actor defaults to the authenticated caller; signed links pass their own.
+async function audit(req, action, targetType, targetId, details = null, actor = req.auth) {
+  try {
+    await dbRun(
+      `INSERT INTO audit_log (actor_type, actor_id, actor_name, action, target_type, target_id, details, ip) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [actor?.type || 'anonymous', actor?.id ?? null, actor?.name || null, action, targetType, targetId == null ? null : String(targetId),
+        details ? JSON.stringify(details) : null, req.ip]
+    );
+  } catch (e) {
+    console.error('Audit log error:', e);
+  }
+}
+
+// Failed logins per IP and username; cleared by a success
+function loginLocked(key) {
+  const f = loginFailures.get(key);
+  if (f && Date.now() - f.first > LOGIN_LOCKOUT_MS) loginFailures.delete(key);
+  return (loginFailures.get(key)?.count || 0) >= LOGIN_MAX_FAILURES;
+}
+
+function noteLoginFailure(key) {
+  const f = loginFailures.get(key) || { count: 0, first: Date.now() };
+  f.count++;
+  loginFailures.set(key, f);
+}
+
+async function pruneExpiredSessions() {
+  const { changes } = await dbRun('DELETE FROM sessions WHERE expires_at <= ?', [new Date().toISOString()]);
+  if (changes) console.log(`Pruned ${changes} expired sessions`);
+}
+
+// First admin comes from the environment; after that users are managed via /api/admin/users
+async function ensureBootstrapAdmin() {
+  const { n } = await dbGet('SELECT COUNT(*) AS n FROM users');
+  if (n) return;
+  if (!ADMIN_USERNAME || !ADMIN_PASSWORD) {
+    console.warn('⚠️  No users yet - set ADMIN_USERNAME and ADMIN_PASSWORD to create the first admin');
+    return;
+  }
+  await dbRun(`INSERT INTO users (username, password_hash, role) VALUES (?, ?, 'admin')`,
+    [ADMIN_USERNAME.toLowerCase(), await hashPassword(ADMIN_PASSWORD)]);
+  console.log(`🔑 Created admin user ${ADMIN_USERNAME.toLowerCase()}`);
+}
+
+// ------------------------------- Webhooks ------------------------------------
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } })); // for Telnyx JSON (raw kept for signatures)
+app.use(authenticate);
+
+app.post('/webhooks/calls', requireTelnyxSignature, async (req, res) => {
+  const { data } = req.body || {};
+  const event = data?.event_type;
+  const callId = data?.payload?.call_control_id || data?.call_control_id;
+  const clientState = parseB64(data?.payload?.client_state || data?.client_state);
+
+  if (event && callId) {
+    console.log(`🌐 WEBHOOK: ${event} | CallID: ${callId}`);
+    if (clientState) console.log(`🌐 CLIENT_STATE:`, JSON.stringify(clientState, null, 2));
+  }
+
+  try {
+    // Telnyx retries deliveries; claim the event id first so a retry is a no-op
+    if (data?.id && !(await claimWebhookEvent(data.id, event, callId))) {
+      console.log(`♻️  DUPLICATE WEBHOOK skipped: ${event} ${data.id}`);
+      return res.status(200).send('OK');
+    }
+    if (event && callId) await logCallEvent(callId, `telnyx.${event}`, telnyxEventDetails(data, clientState));
+
+    switch (event) {
+      case 'call.initiated': await onCallInitiated(data, clientState); break;
+      case 'call.answered': await onCallAnswered(data, clientState); break;
+      case 'call.hangup': await onCallHangup(data, clientState); break;
+      case 'call.recording.saved': await onRecordingSaved(data, clientState); break;
+      case 'call.dtmf.received': break; // menu input arrives as call.gather.ended
+      case 'call.bridged':
+        console.log(`🌉 TELNYX CONFIRMS BRIDGE for: ${callId}`);
+        break;
+      case 'call.speak.ended': await onSpeakEnded(data, clientState); break;
+      case 'call.speak.started': break;
+      case 'call.gather.ended': await onGatherEnded(data, clientState); break;
+      case 'call.playback.ended':
+        if (!(await onVoicemailPromptEnded(callId, clientState))) await onIvrPromptEnded(callId, clientState);
+        break;
+      case 'conference.created': break;
+      case 'conference.participant.joined': await onConferenceParticipantJoined(data); break;
+      case 'conference.participant.left': await onConferenceParticipantLeft(data); break;
+      case 'conference.ended': await onConferenceEnded(data); break;
+      case 'conference.recording.saved': await onConferenceRecordingSaved(data); break;
+      default: if (event) console.log(`❓ UNHANDLED EVENT: ${event} for ${callId}`);
+    }
+  } catch (e) {
+    console.error(`WEBHOOK ERROR processing ${event} for ${callId}:`, e);
+  }
+
+  res.status(200).send('OK');
+});
+
+// Returns false if this event id was already processed
+async function claimWebhookEvent(eventId, eventType, callId) {
+  const { changes } = await dbRun(
+    'INSERT INTO processed_webhook_events (event_id, event_type, call_id) VALUES (?, ?, ?) ON CONFLICT(event_id) DO NOTHING',
+    [eventId, eventType || null, callId || null]
+  );
+  return changes > 0;
+}
+
+// Telnyx stops retrying long before this; keep the table small
+async function pruneProcessedWebhookEvents() {
+  const cutoff = new Date(Date.now() - WEBHOOK_EVENT_RETENTION_MS).toISOString().replace('T', ' ').slice(0, 19);
+  const { changes } = await dbRun('DELETE FROM processed_webhook_events WHERE received_at < ?', [cutoff]);
+  if (changes) console.log(`Pruned ${changes} processed webhook events`);
+}
+
+// Provider callbacks (AssemblyAI posts to /webhooks/assembly). Polling finishes the job
+// anyway, so a webhook only pulls completion forward; probes and strays get a 200.
+async function onTranscriptionWebhook(providerName, req, res) {
+  const provider = transcriptionProvider(providerName);
+  if (!provider) return res.status(404).send('unknown provider');
+  try {
+    let evt;
+    try {
+      evt = provider.parseWebhook(req);
+    } catch (e) {
+      if (e.status === 401) return res.status(401).send('unauthorized');
+      throw e;
+    }
+    console.log(`🎧 Transcription webhook (${provider.name}):`, evt);
+    if (!evt) return res.status(200).send('OK');
+
+    let job = await dbGet('SELECT * FROM transcription_jobs WHERE provider = ? AND external_id = ?', [provider.name, evt.externalId]);
+    if (!job && evt.callId) job = await dbGet('SELECT * FROM transcription_jobs WHERE call_id = ?', [evt.callId]);
+    if (!job || job.status === 'completed' || job.status === 'failed') return res.status(200).send('OK');
+
+    if (evt.status === 'completed') {
+      await completeTranscriptionJob({ ...job, external_id: evt.externalId }, await provider.result(evt.externalId));
+    } else if (evt.status === 'error') {
+      await dbRun('UPDATE transcription_jobs SET external_id = NULL WHERE id = ?', [job.id]);
+      await failTranscriptionJob(job, `provider error: ${evt.error || 'unknown'}`);
+    }
+    return res.status(200).send('OK');
+  } catch (e) {
+    console.error('Transcription webhook handler error:', e);
+    return res.status(500).send('error');
+  }
+}
+
+app.post('/webhooks/transcription/:provider', express.raw({ type: '*/*' }), (req, res) => onTranscriptionWebhook(req.params.provider, req, res));
+app.post('/webhooks/assembly', express.raw({ type: '*/*' }), (req, res) => onTranscriptionWebhook('assemblyai', req, res));
+
+// ------------------------------ Handlers -------------------------------------
+async function onCallInitiated(data, clientState) {
+  const call_id = data.payload?.call_control_id || data.call_control_id;
+  const dir = data.payload?.direction || data.direction; // incoming | outgoing
+  const from_number = data.payload?.from || data.from;
+  const to_number = data.payload?.to || data.to;
+  const start_time = new Date().toISOString();
+
+  if (dir === 'incoming') {
+    const seen = await dbGet('SELECT status FROM calls WHERE call_id = ?', [call_id]);
+    if (seen?.status) {
+      console.log(`⏭️  Ignoring call.initiated for ${call_id}: already ${seen.status}`);
+      return;
+    }
+    let customer = null;
+    try { customer = await findOrCreateCustomer(from_number); } catch (e) { console.error('Customer link error:', e); }
+    let schedule = { open: true };
+    try { schedule = await evaluateSchedule(); } catch (e) { console.error('Schedule check error:', e); }
+    const line = numberConfig(to_number);
+    if (line) console.log(`📇 ${to_number} → ${line.brand_name || 'unbranded'} / ${line.campaign || 'no campaign'}`);
+    await upsertCall({
+      call_id, direction: 'inbound', from_number, to_number,
+      status: 'initiated', start_time, call_type: 'customer_inquiry',
+      customer_id: customer?.id || null,
+      after_hours: schedule.open ? 0 : 1,
+      campaign: line?.campaign || null,
+      brand_name: line?.brand_name || null,
+      lead_source: line?.lead_source || null
+    });
+    await logCallEvent(call_id, 'call.routed', {
+      after_hours: !schedule.open, campaign: line?.campaign || null, brand: line?.brand_name || null, ivr_flow: line?.ivr_flow || activeIvrFlowName
+    });
+    await answerAndIntro(call_id, schedule, line);
+    await emitEvent('call.started', call_id);
+  } else {
+    // Outbound: human rep leg unless client_state says otherwise (e.g. dashboard call)
+    const call_type = clientState?.call_type || 'human_representative';
+    const existing = await dbGet('SELECT * FROM calls WHERE call_id = ?', [call_id]);
+    if (existing) {
+      await dbRun(`UPDATE calls SET status = ${statusTransitionSql('status', "'initiated'")}, start_time = COALESCE(start_time, ?),
+                   from_number = ?, to_number = ? WHERE call_id = ?`,
+        [start_time, from_number, to_number, call_id]);
+    } else if (call_type === 'human_representative') {
+      const linked_customer_call_id = clientState?.customer_call_id || null;
+      await upsertCall({
+        call_id, direction: 'outbound', from_number, to_number,
+        status: 'initiated', start_time, call_type,
+        linked_customer_call_id, human_dial_started_at: start_time
+      });
+    } else {
+      await upsertCall({
+        call_id, direction: 'outbound', from_number, to_number,
+        status: 'initiated', start_time, call_type
+      });
+    }
+  }
+}
+
+async function onCallAnswered(data, clientState) {
+  const call_id = data.payload?.call_control_id || data.call_control_id;
+  const before = await dbGet('SELECT status FROM calls WHERE call_id = ?', [call_id]);
+  if (before?.status && !canTransitionStatus(before.status, 'answered')) {
+    console.log(`⏭️  Ignoring late call.answered for ${call_id}: already ${before.status}`);
+    return;
+  }
+  await upsertFields(call_id, { status: 'answered' });
+
+  let isHumanLeg = false;
+  let customerCallId = clientState?.customer_call_id || null;
+
+  const rec = await dbGet('SELECT * FROM calls WHERE call_id = ?', [call_id]);
+  if ((rec?.call_type || clientState?.call_type) === 'outbound_customer') {
+    await onOutboundCustomerAnswered(call_id, rec);
+    return;
+  }
+  if (isConferenceLeg(rec?.call_type || clientState?.call_type)) {
+    await onConferenceLegAnswered(call_id, rec?.conference_name || clientState?.conference);
+    return;
+  }
+  if (rec?.call_type === 'human_representative') isHumanLeg = true;
+  if (!customerCallId && rec?.linked_customer_call_id) customerCallId = rec.linked_customer_call_id;
+
+  if (isHumanLeg && customerCallId) {
+    await upsertFields(call_id, { human_answered_at: new Date().toISOString() });
+
+    const cust = await dbGet('SELECT * FROM calls WHERE call_id = ?', [customerCallId]);
+    if (!cust || cust.status === 'completed') {
+      await dropPendingTransfer(call_id);
+      await speakToCall(call_id, "Sorry, the caller disconnected just now. Thank you.");
+      setTimeout(async () => {
+        try { await fetch(`https://api.telnyx.com/v2/calls/${call_id}/actions/hangup`, { method: 'POST', headers: telnyxHeaders() }); } catch {}
+      }, 2000);
+      return;
+    }
+
+    // First rep to pick up gets the caller. A leg we already gave up on, or one that lost
+    // the race to another rep, is released.
+    const ringing = await dbGet('SELECT 1 FROM pending_transfers WHERE human_call_id = ?', [call_id]);
+    if (!ringing || !(await claimHuntAnswer(customerCallId, call_id))) {
+      await dropPendingTransfer(call_id);
+      await speakToCall(call_id, "Sorry, this caller has already been helped. Thank you.");
+      setTimeout(() => hangupCall(call_id), 3000);
+      return;
+    }
+    await upsertFields(customerCallId, { pending_human_call_id: call_id });
+    await logCallEvent(customerCallId, 'transfer.rep_answered', { rep_call_id: call_id });
+    await cancelOtherRepLegs(customerCallId, call_id);
+
+    // Bridge after the greeting (speak.ended), with a deadline in case that never arrives
+    await savePendingTransfer(call_id, customerCallId, 'greeting', Math.max(4000, HUMAN_BRIDGE_GREETING_MS));
+
+    try {
+      if (USE_RECORDED_PROMPTS && HUMAN_GREETING_AUDIO_URL) {
+        await playbackAudio(call_id, HUMAN_GREETING_AUDIO_URL);
+      } else {
+        await speakToCall(call_id, "Customer is on the line. Connecting you now.");
+      }
+    } catch (err) {
+      console.error('Greeting error:', err);
+      await savePendingTransfer(call_id, customerCallId, 'greeting', 2000);
+    }
+  }
+}
+
+async function onOutboundCustomerAnswered(call_id, rec) {
+  await startRecording(call_id);
+  const message = (rec?.outbound_message || '').trim() ||
+    "Hello, this is {brand} following up on your request. " +
+    "Please call us back at your convenience. Thank you.";
+  await speakToCall(call_id, message);
+}
+
+async function onConferenceLegAnswered(call_id, name) {
+  if (!name) { console.error('Conference leg answered without a conference name:', call_id); return; }
+
+  await withConferenceLock(name, async () => {
+    const conf = await dbGet('SELECT * FROM conferences WHERE name = ?', [name]);
+    if (!conf || conf.status === 'ended' || conf.status === 'failed') {
+      await speakToCall(call_id, "Sorry, this conference call has already ended. Goodbye.");
+      setTimeout(() => hangupCall(call_id), 3000);
+      return;
+    }
+
+    if (conf.telnyx_conference_id) {
+      const joined = await joinTelnyxConference(conf.telnyx_conference_id, call_id);
+      if (!joined) await hangupCall(call_id);
+      return;
+    }
+
+    const conferenceId = await createTelnyxConference(call_id, name);
+    if (!conferenceId) {
+      await dbRun(`UPDATE conferences SET status = 'failed', ended_at = ? WHERE name = ?`, [new Date().toISOString(), name]);
+      await speakToCall(call_id, "We're having technical difficulties setting up your call. Please try again later.");
+      await hangupConferenceLegs(name, call_id);
+      setTimeout(() => hangupCall(call_id), 4000);
+      return;
+    }
+    await dbRun(`UPDATE conferences SET telnyx_conference_id = ?, status = 'active', started_at = ? WHERE name = ?`,
+      [conferenceId, new Date().toISOString(), name]);
+    await startConferenceRecording(conferenceId);
+    console.log('👥 CONFERENCE: Created', name, '→', conferenceId);
+  });
+}
+
+async function conferenceLegFromEvent(data) {
+  const call_id = data.payload?.call_control_id || data.call_control_id;
+  if (!call_id) return null;
+  const rec = await dbGet('SELECT * FROM calls WHERE call_id = ?', [call_id]);
+  return rec?.conference_name ? rec : null;
+}
+
+async function onConferenceParticipantJoined(data) {
+  const leg = await conferenceLegFromEvent(data);
+  if (!leg) return;
+  await upsertFields(leg.call_id, { conference_joined_at: new Date().toISOString() });
+  console.log(`👥 CONFERENCE: ${leg.call_type} joined ${leg.conference_name}`);
+}
+
+async function onConferenceParticipantLeft(data) {
+  const leg = await conferenceLegFromEvent(data);
+  if (!leg) return;
+  await upsertFields(leg.call_id, { conference_left_at: new Date().toISOString() });
+  console.log(`👥 CONFERENCE: ${leg.call_type} left ${leg.conference_name}`);
+
+  // A 3-way call with one person left is over; don't leave them listening to silence
+  const remaining = await dbAll(
+    `SELECT call_id FROM calls WHERE conference_name = ? AND conference_joined_at IS NOT NULL
+     AND conference_left_at IS NULL AND status != 'completed'`,
+    [leg.conference_name]
+  );
+  if (remaining.length < 2) {
+    for (const r of remaining) await hangupCall(r.call_id);
+  }
+}
+
+async function onConferenceEnded(data) {
+  const conferenceId = data.payload?.conference_id || data.conference_id;
+  if (!conferenceId) return;
+  await dbRun(`UPDATE conferences SET status = 'ended', ended_at = COALESCE(ended_at, ?) WHERE telnyx_conference_id = ?`,
+    [new Date().toISOString(), conferenceId]);
+  console.log('👥 CONFERENCE: Ended', conferenceId);
+}
+
+async function onConferenceRecordingSaved(data) {
+  const conferenceId = data.payload?.conference_id || data.conference_id;
+  const telnyxUrl = data.payload?.recording_urls?.mp3 || data.payload?.public_recording_urls?.mp3;
+  const conf = conferenceId ? await dbGet('SELECT * FROM conferences WHERE telnyx_conference_id = ?', [conferenceId]) : null;
+  if (!conf || !telnyxUrl) return;
+
+  await dbRun('UPDATE conferences SET recording_url = ? WHERE id = ?', [telnyxUrl, conf.id]);
+  const finalUrl = await mirrorRecording('conference', conf.id, telnyxUrl, `recordings/conference-${safeKeySegment(conf.name)}.mp3`, data.payload?.recording_id);
+  console.log('📹 Conference recording mirrored to:', finalUrl || `(pending) ${telnyxUrl}`);
+}
+
+// A party that never made it into the conference: if it was the customer or the
+// contractor there's no 3-way call to have, so release everyone else.
+async function onConferenceLegFailed(rec) {
+  const role = rec.call_type.replace('conference_', '');
+  if (role === 'dispatcher') return;
+
+  const conf = await dbGet('SELECT * FROM conferences WHERE name = ?', [rec.conference_name]);
+  if (!conf || conf.status === 'ended' || conf.status === 'failed') return;
+
+  await dbRun(`UPDATE conferences SET status = 'failed', ended_at = ? WHERE id = ?`, [new Date().toISOString(), conf.id]);
+  const others = await dbAll(
+    `SELECT call_id, status FROM calls WHERE conference_name = ? AND call_id != ? AND status != 'completed'`,
+    [conf.name, rec.call_id]
+  );
+  for (const o of others) {
+    if (o.status === 'answered') {
+      await speakToCall(o.call_id, `Sorry, we couldn't reach the ${role}. We'll try again shortly. Goodbye.`);
+      setTimeout(() => hangupCall(o.call_id), 4000);
+    } else {
+      await hangupCall(o.call_id);
+    }
+  }
+  console.log(`👥 CONFERENCE: ${conf.name} failed, ${role} never joined`);
+}
+
+async function onSpeakEnded(data, clientState) {
+  const call_id = data?.payload?.call_control_id || data?.call_control_id;
+  const greeting = await dbGet(`SELECT * FROM pending_transfers WHERE human_call_id = ? AND state = 'greeting'`, [call_id]);
+  if (greeting) {
+    await dropPendingTransfer(call_id);
+    await attemptBridge(greeting.customer_call_id, call_id);
+    return;
+  }
+
+  if (await onVoicemailPromptEnded(call_id, clientState)) return;
+  if (await onIvrPromptEnded(call_id, clientState)) return;
+
+  // Dashboard-placed call: message delivered, nothing else to do on the line
+  if (clientState?.call_type === 'outbound_customer') {
+    await waitMs(1000);
+    await hangupCall(call_id);
+  }
+}
+
+async function attemptBridge(customerCallId, humanCallId) {
+  try {
+    const custNow = await dbGet('SELECT * FROM calls WHERE call_id = ?', [customerCallId]);
+    if (!custNow || custNow.status === 'completed') {
+      await logCallEvent(customerCallId, 'transfer.caller_gone', { rep_call_id: humanCallId });
+      await speakToCall(humanCallId, "Sorry, the caller disconnected. Thank you.");
+      setTimeout(async () => {
+        try { await fetch(`https://api.telnyx.com/v2/calls/${humanCallId}/actions/hangup`, { method: 'POST', headers: telnyxHeaders() }); } catch {}
+      }, 2000);
+      return;
+    }
+
+    const bridge = await fetch(`https://api.telnyx.com/v2/calls/${customerCallId}/actions/bridge`, {
+      method: 'POST', headers: telnyxHeaders(), body: JSON.stringify({ call_control_id: humanCallId })
+    });
+
+    if (bridge.ok) {
+      await upsertFields(customerCallId, {
+        call_type: 'human_connected',
+        bridged_at: new Date().toISOString()
+      });
+      await logCallEvent(customerCallId, 'transfer.bridged', { rep_call_id: humanCallId });
+      await clearFields(customerCallId, ['pending_human_call_id']);
+      await finishHunt(customerCallId);
+      console.log('✅ BRIDGE SUCCESS:', `${customerCallId} <-> ${humanCallId}`);
+      const rep = await dbGet(
+        'SELECT c.to_number, c.rep_id, r.name FROM calls c LEFT JOIN reps r ON r.id = c.rep_id WHERE c.call_id = ?', [humanCallId]
+      );
+      await emitEvent('transfer.answered', customerCallId, {
+        transfer: { rep_call_id: humanCallId, rep_id: rep?.rep_id || null, rep_name: rep?.name || null, rep_number: rep?.to_number || null }
+      });
+    } else {
+      const errorText = await bridge.text();
+      console.error('Bridge failed:', errorText);
+      await logCallEvent(customerCallId, 'transfer.bridge_failed', { rep_call_id: humanCallId, error: errorText.slice(0, 500) });
+      await emitEvent('transfer.failed', customerCallId, { transfer: { reason: 'bridge_failed', rep_call_id: humanCallId } });
+      await speakToCall(humanCallId, "We're having an issue connecting you. Sorry about that.");
+      await speakToCall(customerCallId, "We're having technical difficulties. Please call back in a few minutes.");
+      setTimeout(async () => {
+        try { await fetch(`https://api.telnyx.com/v2/calls/${humanCallId}/actions/hangup`, { method: 'POST', headers: telnyxHeaders() }); } catch {}
+      }, 3000);
+    }
+  } catch (err) {
+    console.error('attemptBridge exception:', err);
+    await logCallEvent(customerCallId, 'transfer.bridge_failed', { rep_call_id: humanCallId, error: err.message || String(err) });
+    try { await speakToCall(humanCallId, "We're having technical difficulties. Sorry about that."); } catch {}
+  }
+}
+
+async function onCallHangup(data, clientState) {
+  const call_id = data.payload?.call_control_id || data.call_control_id;
+  const end_time = new Date().toISOString();
+
+  const pendingTransfer = await dropPendingTransfer(call_id);
+
+  const rec = await dbGet('SELECT * FROM calls WHERE call_id = ?', [call_id]);
+  const wasCustomer = rec?.direction === 'inbound' || rec?.call_type === 'customer_inquiry';
+  const wasHuman = rec?.call_type === 'human_representative';
+
+  let duration = null;
+  if (rec?.start_time) {
+    const start = new Date(rec.start_time).getTime();
+    duration = Math.max(0, Math.floor((Date.now() - start) / 1000));
+  }
+  await upsertFields(call_id, { status: 'completed', end_time, duration });
+
+  if (isConferenceLeg(rec?.call_type) && rec?.conference_name && !rec.conference_joined_at) {
+    await onConferenceLegFailed(rec);
+  }
+
+  if (wasCustomer) {
+    // Caller gave up: stop ringing every rep still being offered the call
+    const ringing = await dropPendingTransfersForCustomer(call_id);
+    for (const t of ringing) await hangupCall(t.human_call_id);
+    await finishHunt(call_id);
+    await clearFields(call_id, ['pending_human_call_id']);
+  }
+
+  // Rep leg ended before the bridge (declined, busy, no answer): try the next rep, and
+  // voicemail once the group is exhausted. After a bridge there's no pending transfer.
+  if (wasHuman && pendingTransfer) {
+    await logCallEvent(pendingTransfer.customer_call_id, 'transfer.rep_dropped', { rep_call_id: call_id, state: pendingTransfer.state });
+    await continueHunt(pendingTransfer.customer_call_id);
+  }
+}
+
+async function onRecordingSaved(data, clientState) {
+  if (clientState?.voicemail_id) return onVoicemailSaved(data, clientState);
+  const call_id = data.payload?.call_control_id || data.call_control_id;
+  const telnyxUrl = data.payload?.recording_urls?.mp3 || data.recording_urls?.mp3;
+  let finalUrl = telnyxUrl;
+
+  console.log('📹 Recording saved for call:', call_id);
+  console.log('📹 Telnyx URL:', telnyxUrl);
+
+  try {
+    await upsertFields(call_id, {
+      recording_url: telnyxUrl,
+      status: 'completed',
+      recording_started_at: data.payload?.recording_started_at || data.recording_started_at || null
+    });
+    // Until the copy lands (now or on a retry) the row keeps the Telnyx link
+    const mirrored = await mirrorRecording('call', call_id, telnyxUrl, `recordings/${safeKeySegment(call_id)}.mp3`,
+      data.payload?.recording_id || data.recording_id);
+    if (mirrored) {
+      finalUrl = mirrored;
+      console.log('📹 Recording mirrored to:', mirrored);
+    } else if (storageDriver()) {
+      console.log('📹 Recording copy failed, queued for retry; keeping the Telnyx URL for now');
+    }
+  } catch (e) {
+    console.error('Recording save DB error:', e);
+  }
+  await emitEvent('recording.ready', call_id, call => ({ recording: { url: externalMediaLink(call, 'recording', OUTBOUND_WEBHOOK_MEDIA_LINK_TTL_SECS, 'webhook') } }));
+
+  // Transcribe in the background; the job retries itself if the provider fails
+  enqueueTranscription(call_id, /^https?:/i.test(finalUrl) ? finalUrl : telnyxUrl).catch((e) => console.error('Transcription enqueue error:', e));
+
+  // Without transcription this is all we'll know about the call, so rank it now
+  if (!transcriptionEnabled()) {
+    try { await scoreLead(call_id); } catch (e) { console.error('Lead scoring error:', e); }
+  }
+
+  // Queue Zapier now that we have a recording. With transcription on, the transcript pulls
+  // the delivery forward; the delay is only the fallback if transcription never finishes.
+  await enqueueZapierDelivery(call_id, { delayMs: transcriptionEnabled() ? ZAPIER_TRANSCRIPT_WAIT_MS : 0 });
+}
+
+async function connectToHuman(customerCallId, { group, number } = {}) {
+  try {
+    const current = await dbGet('SELECT status FROM calls WHERE call_id = ?', [customerCallId]);
+    if (current?.status === 'completed') return;
+    if (await getHunt(customerCallId)) {
+      console.log(`⏭️  Reps already being dialed for ${customerCallId}`);
+      return;
+    }
+
+    // An IVR node naming a group wins; otherwise the dialed number's group or rep line
+    if (!group && !number) {
+      const call = await dbGet('SELECT to_number FROM calls WHERE call_id = ?', [customerCallId]);
+      const line = numberConfig(call?.to_number);
+      group = line?.rep_group || null;
+      number = group ? null : line?.human_number || null;
+    }
+    const ringGroup = number ? singleNumberGroup('on-call', number) : await resolveRingGroup(group);
+    if (!ringGroup?.reps.length) {
+      console.log(`📞 HUNT: no available reps${ringGroup ? ` in ${ringGroup.name}` : ''} for ${customerCallId}`);
+      await logCallEvent(customerCallId, 'transfer.no_reps', { group: ringGroup?.name || null });
+      await emitEvent('transfer.failed', customerCallId, { transfer: { reason: 'no_reps', group: ringGroup?.name || null } });
+      await routeToVoicemail(customerCallId, "Sorry, we can't reach a representative right now. Please leave your name, phone number, address, and details about the water damage after the beep.", 'no_reps');
+      return;
+    }
+
+    // Preserve direction when updating call type
+    await upsertFields(customerCallId, { call_type: 'human_transfer' });
+    await logCallEvent(customerCallId, 'transfer.requested', {
+      group: ringGroup.name, strategy: ringGroup.strategy, reps: ringGroup.reps.map(r => r.name || r.phone_number)
+    });
+
+    const simultaneous = ringGroup.strategy === 'simultaneous';
+    const first = simultaneous ? ringGroup.reps : ringGroup.reps.slice(0, 1);
+    const queue = simultaneous ? [] : ringGroup.reps.slice(1);
+    const hunt = {
+      customer_call_id: customerCallId,
+      group_id: ringGroup.group_id,
+      group_name: ringGroup.name,
+      strategy: ringGroup.strategy,
+      ring_timeout_ms: ringGroup.ring_timeout_ms
+    };
+    await dbRun(
+      `INSERT INTO rep_hunts (customer_call_id, group_id, group_name, strategy, ring_timeout_ms, queue) VALUES (?, ?, ?, ?, ?, ?)`,
+      [customerCallId, hunt.group_id, hunt.group_name, hunt.strategy, hunt.ring_timeout_ms, JSON.stringify(queue)]
+    );
+    console.log(`📞 HUNT: ${customerCallId} → group ${ringGroup.name} (${ringGroup.strategy}, ${ringGroup.reps.length} rep(s))`);
+
+    let dialed = 0;
+    for (const rep of first) if (await dialRep(customerCallId, rep, hunt)) dialed++;
+    if (!dialed) await continueHunt(customerCallId);
+  } catch (e) {
+    console.error('connectToHuman error:', e);
+    await speakToCall(customerCallId, "We're having trouble connecting. Please call back in a few minutes or leave a message.");
+  }
+}
+
+// ---------------------------------- Media ------------------------------------
+// Signature check, media.view audit, then the stored copy; fallback(res) answers when the
+// object hasn't been copied to storage (yet) and returns false if there's nothing to send
+async function serveMedia(req, res, { ownerType, ownerId, kind, subject, filename, fallback }) {
+  // Without a signature authenticate() already required a session or an API key
+  const signed = req.query.signature !== undefined;
+  if (signed && !mediaSignatureValid(subject, kind, req.query.expires, req.query.by, req.query.signature)) {
+    return res.status(403).json({ success: false, error: 'Link expired or invalid' });
+  }
+  try {
+    // A player fetches in ranges; one view is the request that starts at the beginning
+    if (!/^bytes=[1-9]/.test(req.get('Range') || '') && req.method === 'GET') {
+      await audit(req, 'media.view', ownerType, ownerId, { kind, via: signed ? 'link' : req.auth.type },
+        signed ? await mediaLinkActor(req.query.by) : req.auth);
+    }
+    const obj = await dbGet(
+      `SELECT * FROM media_objects WHERE owner_type = ? AND owner_id = ? AND kind = ? AND status = 'stored'`,
+      [ownerType, String(ownerId), kind]
+    );
+    if (obj) return await sendMediaObject(req, res, obj, filename);
+    if (!(await fallback(res))) res.status(404).json({ success: false, error: 'Not found' });
+  } catch (e) {
+    console.error('media error:', e);
+    if (!res.headersSent) res.status(500).json({ success: false, error: 'Failed to load media' });
+  }
+}
+
+// Registered before /media/:call_id/:kind so "voicemail" / "conference" aren't read as call ids
+app.get('/media/:owner(voicemail|conference)/:id', (req, res) => {
+  const { owner, id } = req.params;
+  return serveMedia(req, res, {
+    ownerType: owner, ownerId: id, kind: 'recording', subject: `${owner}:${id}`,
+    filename: `${owner}-${safeKeySegment(id)}.mp3`,
+    // Not copied yet: still only at Telnyx
+    fallback: async (res) => {
+      const row = await dbGet(`SELECT recording_url FROM ${MEDIA_OWNERS[`${owner}:recording`].table} WHERE id = ?`, [id]);
+      if (!/^https?:/i.test(row?.recording_url || '')) return false;
+      res.redirect(302, row.recording_url);
+      return true;
+    }
+  });
+});
+
+app.get('/media/:call_id/:kind', (req, res) => {
+  const { call_id, kind } = req.params;
+  if (!MEDIA_KINDS[kind]) return res.status(404).json({ success: false, error: 'Unknown media kind' });
+  return serveMedia(req, res, {
+    ownerType: 'call', ownerId: call_id, kind, subject: call_id,
+    filename: `${safeKeySegment(call_id)}.${kind === 'recording' ? 'mp3' : 'txt'}`,
+    // Not copied yet: the recording is still only at Telnyx, the transcript only in the DB
+    fallback: async (res) => {
+      const call = await dbGet('SELECT recording_url, transcript FROM calls WHERE call_id = ?', [call_id]);
+      if (kind === 'recording' && /^https?:/i.test(call?.recording_url || '')) {
+        res.redirect(302, call.recording_url);
+        return true;
+      }
+      if (kind === 'transcript' && call?.transcript) {
+        res.type(MEDIA_KINDS.transcript).set('Cache-Control', 'private, no-store').send(call.transcript);
+        return true;
+      }
+      return false;
+    }
+  });
+});
+
+// ----------------------------------- Auth ------------------------------------
+app.post('/api/auth/login', async (req, res) => {
+  const username = String(req.body?.username || '').trim().toLowerCase();
+  const password = String(req.body?.password || '');
+  if (!username || !password) return res.status(400).json({ success: false, error: 'Username and password are required' });
+
+  const throttleKey = `${req.ip}|${username}`;
+  if (loginLocked(throttleKey)) {
+    return res.status(429).json({ success: false, error: 'Too many failed attempts, try again later' });
+  }
+  try {
+    const user = await dbGet('SELECT * FROM users WHERE username = ? AND disabled = 0', [username]);
+    if (!user || !(await verifyPassword(password, user.password_hash))) {
+      noteLoginFailure(throttleKey);
+      await audit(req, 'auth.login_failed', 'user', user?.id, null, { type: 'anonymous', name: username });
+      return res.status(401).json({ success: false, error: 'Invalid username or password' });
+    }
+    loginFailures.delete(throttleKey);
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    await dbRun(
+      `INSERT INTO sessions (id, user_id, expires_at, ip, user_agent) VALUES (?, ?, ?, ?, ?)`,
+      [tokenHash(token), user.id, expiresAt, req.ip, String(req.get('User-Agent') || '').slice(0, 200)]
+    );
+    await dbRun('UPDATE users SET last_login_at = CURRENT_TIMESTAMP WHERE id = ?', [user.id]);
+    const actor = { type: 'user', id: user.id, name: user.username };
+    await audit(req, 'auth.login', 'user', user.id, null, actor);
+
+    res.set('Set-Cookie', sessionCookie(token, SESSION_TTL_HOURS * 60 * 60));
+    res.json({ success: true, user: { id: user.id, username: user.username, role: user.role }, expiresAt });
+  } catch (e) {
+    console.error('login error:', e);
+    res.status(500).json({ success: false, error: 'Login failed' });
+  }
+});
+
+app.post('/api/auth/logout', async (req, res) => {
+  try {
+    if (req.auth?.sessionId) {
+      await dbRun('DELETE FROM sessions WHERE id = ?', [req.auth.sessionId]);
+      await audit(req, 'auth.logout', 'user', req.auth.id);
+    }
+    res.set('Set-Cookie', sessionCookie('', 0));
+    res.json({ success: true });
+  } catch (e) {
+    console.error('logout error:', e);
+    res.status(500).json({ success: false, error: 'Logout failed' });
+  }
+});
+
+app.get('/api/auth/me', (req, res) => {
+  const { type, id, name, role, scopes } = req.auth;
+  res.json({ success: true, type, id, name, role: role || null, scopes: scopes || null });
+});
+
+// ---------------------------------- API --------------------------------------
+// fromNumber (optional) calls out on one of the configured brand numbers
+app.post('/api/call-customer', async (req, res) => {
+  const { customerNumber, message, fromNumber } = req.body || {};
+  const to = normalizePhone(customerNumber);
+  if (!to) return res.status(400).json({ success: false, error: 'A valid customer phone number is required' });
+  const line = fromNumber ? numberConfig(fromNumber) : null;
+  if (fromNumber && !line) return res.status(400).json({ success: false, error: 'fromNumber is not an active configured number' });
+  const from = line?.number || TELNYX_PHONE_NUMBER;
+  if (!TELNYX_API_KEY || !from) {
+    return res.status(503).json({ success: false, error: 'Telnyx is not configured' });
+  }
+
+  try {
+    const call_id = await dialOutbound(to, { call_type: 'outbound_customer' }, { from });
+    if (!call_id) return res.status(502).json({ success: false, error: 'Telnyx rejected the call' });
+
+    const customer = await findOrCreateCustomer(to);
+    await upsertCall({
+      call_id,
+      direction: 'outbound',
+      from_number: from,
+      to_number: to,
+      status: 'initiated',
+      start_time: new Date().toISOString(),
+      call_type: 'outbound_customer',
+      outbound_message: String(message || '').trim() || null,
+      customer_id: customer?.id || null,
+      campaign: line?.campaign || null,
+      brand_name: line?.brand_name || null
+    });
+    console.log('📞 OUTBOUND: Customer call placed', call_id, '→', to);
+    await logCallEvent(call_id, 'call.placed', { by: req.auth.name, from, to });
+    await audit(req, 'call.outbound', 'call', call_id, { to, from });
+    res.json({ success: true, call_id });
+  } catch (e) {
+    console.error('call-customer error:', e);
+    res.status(500).json({ success: false, error: 'Failed to place call' });
+  }
+});
+
+app.get('/api/dashboard', async (req, res) => {
+  try {
+    const midnight = new Date();
+    midnight.setHours(0, 0, 0, 0);
+    const activeSince = new Date(Date.now() - 4 * 60 * 60 * 1000); // ignore legs whose hangup we never saw
+
+    const today = await dbGet(
+      `SELECT COUNT(*) AS n FROM calls WHERE start_time >= ? AND COALESCE(call_type, '') != 'human_representative'`,
+      [midnight.toISOString()]
+    );
+    const active = await dbGet(
+      `SELECT COUNT(*) AS n FROM calls WHERE status IN ('initiated', 'answered') AND start_time >= ?
+       AND COALESCE(call_type, '') != 'human_representative'`,
+      [activeSince.toISOString()]
+    );
+    const customers = await dbGet('SELECT COUNT(*) AS n FROM customers');
+    const contractors = await dbGet('SELECT COUNT(*) AS n FROM contractors');
+    const voicemails = await dbGet(`SELECT COUNT(*) AS n FROM voicemails WHERE reviewed_at IS NULL AND status = 'saved'`);
+
+    res.json({
+      todayCalls: today?.n || 0,
+      activeCalls: active?.n || 0,
+      totalCustomers: customers?.n || 0,
+      totalContractors: contractors?.n || 0,
+      unheardVoicemails: voicemails?.n || 0
+    });
+  } catch (e) {
+    console.error('dashboard error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load dashboard' });
+  }
+});
+
+// Every calls row the API returns goes through here: the stored URLs are a pre-signed
+// Telnyx link or a private storage URI, so they are swapped for signed /media links
+function callJson(call, auth) {
+  if (!call) return call;
+  const by = mediaLinkOwner(auth);
+  return {
+    ...call,
+    recording_url: call.recording_url ? signedMediaUrl(call.call_id, 'recording', MEDIA_LINK_TTL_SECS, by) : null,
+    transcript_url: call.transcript_url || call.transcript ? signedMediaUrl(call.call_id, 'transcript', MEDIA_LINK_TTL_SECS, by) : null
+  };
+}
+
+// Newest first; next_cursor is opaque (base64 of the last row id) and goes back in as ?cursor=
+app.get('/api/calls', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 25, 1), 100);
+    const where = [];
+    const params = [];
+
+    if (req.query.cursor) {
+      const cursor = parseB64(req.query.cursor);
+      if (!Number.isInteger(cursor?.id)) return res.status(400).json({ success: false, error: 'Invalid cursor' });
+      where.push('id < ?'); params.push(cursor.id);
+    }
+    if (req.query.lead_quality && !LEAD_TIERS.includes(req.query.lead_quality)) {
+      return res.status(400).json({ success: false, error: `lead_quality must be one of: ${LEAD_TIERS.join(', ')}` });
+    }
+    for (const col of ['direction', 'call_type', 'status', 'lead_quality', 'campaign']) {
+      if (req.query[col]) { where.push(`${col} = ?`); params.push(req.query[col]); }
+    }
+    for (const col of ['from_number', 'to_number']) {
+      if (!req.query[col]) continue;
+      const n = normalizePhone(req.query[col]) || String(req.query[col]).trim();
+      where.push(`${col} = ?`); params.push(n);
+    }
+    for (const [key, op] of [['since', '>='], ['until', '<']]) {
+      if (!req.query[key]) continue;
+      const d = new Date(req.query[key]);
+      if (isNaN(d)) return res.status(400).json({ success: false, error: `${key} must be a date` });
+      where.push(`start_time ${op} ?`); params.push(d.toISOString());
+    }
+
+    const rows = await dbAll(
+      `SELECT * FROM calls ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ?`,
+      [...params, limit + 1]
+    );
+    const calls = rows.slice(0, limit);
+    const next_cursor = rows.length > limit ? b64({ id: calls[calls.length - 1].id }) : null;
+    res.json({ success: true, calls: calls.map(c => callJson(c, req.auth)), next_cursor });
+  } catch (e) {
+    console.error('list calls error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load calls' });
+  }
+});
+
+// ?format=json (default) | srt | vtt | txt; ?role=caller|rep|ivr to keep one side
+const TRANSCRIPT_FORMATS = {
+  srt: 'application/x-subrip; charset=utf-8',
+  vtt: 'text/vtt; charset=utf-8',
+  txt: 'text/plain; charset=utf-8'
+};
+
+app.get('/api/calls/:call_id/transcript', async (req, res) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  if (format !== 'json' && !TRANSCRIPT_FORMATS[format]) {
+    return res.status(400).json({ success: false, error: 'format must be json, srt, vtt or txt' });
+  }
+  const { role } = req.query;
+  if (role && !UTTERANCE_ROLES.includes(role)) {
+    return res.status(400).json({ success: false, error: `role must be one of: ${UTTERANCE_ROLES.join(', ')}` });
+  }
+
+  try {
+    const call = await dbGet('SELECT call_id, transcript FROM calls WHERE call_id = ?', [req.params.call_id]);
+    if (!call) return res.status(404).json({ success: false, error: 'Call not found' });
+    const utterances = await dbAll(
+      `SELECT seq, channel, speaker, role, start_ms, end_ms, text, confidence FROM transcript_utterances
+       WHERE call_id = ? ${role ? 'AND role = ?' : ''} ORDER BY seq`,
+      role ? [call.call_id, role] : [call.call_id]
+    );
+
+    await audit(req, 'transcript.view', 'call', call.call_id, { format, role: role || null });
+    if (format === 'json') return res.json({ success: true, call_id: call.call_id, text: call.transcript || null, utterances });
+    if (!utterances.length) {
+      // Older calls only have the flat text; that still works as plain text
+      if (format === 'txt' && call.transcript && !role) return res.type(TRANSCRIPT_FORMATS.txt).send(call.transcript);
+      return res.status(404).json({ success: false, error: 'No timed transcript for this call' });
+    }
+    res.type(TRANSCRIPT_FORMATS[format]);
+    if (req.query.download === 'true') res.attachment(`${safeKeySegment(call.call_id)}.${format}`);
+    res.send(formatTranscript(utterances, format));
+  } catch (e) {
+    console.error('get transcript error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load transcript' });
+  }
+});
+
+// Re-run field extraction over the stored transcript
+app.post('/api/calls/:call_id/extract', async (req, res) => {
+  try {
+    const call = await dbGet('SELECT transcript FROM calls WHERE call_id = ?', [req.params.call_id]);
+    if (!call) return res.status(404).json({ success: false, error: 'Call not found' });
+    if (!call.transcript) return res.status(409).json({ success: false, error: 'Call has no transcript yet' });
+    const fields = await extractAndStoreLeadFields(req.params.call_id, call.transcript);
+    res.json({ success: true, lead_fields: fields });
+  } catch (e) {
+    console.error('extract call error:', e);
+    res.status(500).json({ success: false, error: 'Failed to extract lead fields' });
+  }
+});
+
+// Re-rank a call, e.g. after the scoring rules change
+app.post('/api/calls/:call_id/score', async (req, res) => {
+  try {
+    const result = await scoreLead(req.params.call_id);
+    if (!result) return res.status(404).json({ success: false, error: 'Customer call not found' });
+    res.json({ success: true, ...result });
+  } catch (e) {
+    console.error('score call error:', e);
+    res.status(500).json({ success: false, error: 'Failed to score call' });
+  }
+});
+
+// Everything logged for a call, oldest first, merged with its rep and conference legs so
+// support can follow a lead from the first ring to the last delivery. ?types=ivr,transfer
+// narrows it to those areas. A rep leg's id resolves to its customer call.
+app.get('/api/calls/:call_id/timeline', async (req, res) => {
+  try {
+    let call = await dbGet('SELECT * FROM calls WHERE call_id = ?', [req.params.call_id]);
+    if (!call) return res.status(404).json({ success: false, error: 'Call not found' });
+    if (call.call_type === 'human_representative' && call.linked_customer_call_id) {
+      call = await dbGet('SELECT * FROM calls WHERE call_id = ?', [call.linked_customer_call_id]) || call;
+    }
+
+    const legs = await dbAll(
+      `SELECT call_id, call_type, from_number, to_number, status, start_time, end_time FROM calls
+       WHERE call_id != ? AND (linked_customer_call_id = ? OR (conference_name IS NOT NULL AND conference_name = ?)) ORDER BY id`,
+      [call.call_id, call.call_id, call.conference_name]
+    );
+    const ids = [call.call_id, ...legs.map(l => l.call_id)];
+    const where = [`call_id IN (${ids.map(() => '?').join(', ')})`];
+    const params = [...ids];
+    const areas = String(req.query.types || '').split(',').map(t => t.trim()).filter(Boolean);
+    if (areas.length) {
+      where.push(`(${areas.map(() => "type LIKE ? ESCAPE '\\'").join(' OR ')})`);
+      params.push(...areas.map(a => `${a.replace(/[\\%_]/g, c => `\\${c}`)}.%`));
+    }
+    const events = await dbAll(`SELECT * FROM call_events WHERE ${where.join(' AND ')} ORDER BY created_at, id`, params);
+
+    res.json({
+      success: true,
+      call: {
+        call_id: call.call_id, direction: call.direction, from_number: call.from_number, to_number: call.to_number,
+        status: call.status, call_type: call.call_type, start_time: call.start_time, end_time: call.end_time,
+        campaign: call.campaign, lead_quality: call.lead_quality, zapier_sent: !!call.zapier_sent
+      },
+      legs,
+      // leg: 'customer', or the other leg's call_type (human_representative, conference leg types)
+      events: events.map(e => ({
+        ...e,
+        leg: e.call_id === call.call_id ? 'customer' : legs.find(l => l.call_id === e.call_id)?.call_type || null,
+        details: e.details ? JSON.parse(e.details) : null
+      }))
+    });
+  } catch (e) {
+    console.error('call timeline error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load call timeline' });
+  }
+});
+
+// One call with the other side of its rep transfer: customer leg <-> human_representative leg(s)
+app.get('/api/calls/:call_id', async (req, res) => {
+  try {
+    const call = await dbGet('SELECT * FROM calls WHERE call_id = ?', [req.params.call_id]);
+    if (!call) return res.status(404).json({ success: false, error: 'Call not found' });
+
+    const customer_leg = call.call_type === 'human_representative'
+      ? (call.linked_customer_call_id ? await dbGet('SELECT * FROM calls WHERE call_id = ?', [call.linked_customer_call_id]) : null)
+      : call;
+    const representative_legs = customer_leg
+      ? await dbAll('SELECT * FROM calls WHERE linked_customer_call_id = ? ORDER BY id', [customer_leg.call_id])
+      : [call];
+    const customerId = customer_leg?.customer_id;
+    const customer = customerId ? await dbGet('SELECT * FROM customers WHERE id = ?', [customerId]) : null;
+    const voicemails = customer_leg
+      ? await dbAll('SELECT * FROM voicemails WHERE call_id = ? ORDER BY id', [customer_leg.call_id])
+      : [];
+
+    let lead_fields = null;
+    try { lead_fields = customer_leg?.customer_info ? JSON.parse(customer_leg.customer_info) : null; } catch {}
+
+    const media = {
+      recording: customer_leg?.recording_url ? signedMediaUrl(customer_leg.call_id, 'recording', MEDIA_LINK_TTL_SECS, mediaLinkOwner(req.auth)) : null,
+      transcript: customer_leg?.transcript ? signedMediaUrl(customer_leg.call_id, 'transcript', MEDIA_LINK_TTL_SECS, mediaLinkOwner(req.auth)) : null
+    };
+
+    res.json({
+      success: true,
+      call: callJson(call, req.auth),
+      customer_leg: callJson(customer_leg, req.auth),
+      representative_legs: representative_legs.map(c => callJson(c, req.auth)),
+      customer,
+      voicemails: voicemails.map(v => voicemailJson(v, req.auth)),
+      lead_fields,
+      media
+    });
+  } catch (e) {
+    console.error('get call error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load call' });
+  }
+});
+
+// Inbound calls and lead tiers per campaign; ?since=&until= (default last 30 days)
+app.get('/api/campaigns', async (req, res) => {
+  const since = new Date(req.query.since || Date.now() - 30 * 24 * 60 * 60 * 1000);
+  const until = req.query.until ? new Date(req.query.until) : new Date();
+  if (isNaN(since) || isNaN(until)) return res.status(400).json({ success: false, error: 'since and until must be dates' });
+  try {
+    const campaigns = await dbAll(
+      `SELECT campaign, brand_name, to_number, COUNT(*) AS calls,
+         SUM(CASE WHEN lead_quality = 'hot' THEN 1 ELSE 0 END) AS hot,
+         SUM(CASE WHEN lead_quality = 'warm' THEN 1 ELSE 0 END) AS warm,
+         SUM(CASE WHEN lead_quality = 'cold' THEN 1 ELSE 0 END) AS cold,
+         SUM(CASE WHEN lead_quality = 'spam' THEN 1 ELSE 0 END) AS spam,
+         MAX(start_time) AS last_call_at
+       FROM calls WHERE direction = 'inbound' AND start_time >= ? AND start_time < ?
+       GROUP BY campaign, brand_name, to_number ORDER BY calls DESC`,
+      [since.toISOString(), until.toISOString()]
+    );
+    res.json({ success: true, since: since.toISOString(), until: until.toISOString(), campaigns });
+  } catch (e) {
+    console.error('campaign stats error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load campaign stats' });
+  }
+});
+
+app.post('/api/three-way-call', async (req, res) => {
+  const { customerNumber, contractorNumber, includeDispatcher } = req.body || {};
+  const customer = normalizePhone(customerNumber);
+  const contractor = normalizePhone(contractorNumber);
+  if (!customer || !contractor) {
+    return res.status(400).json({ success: false, error: 'Valid customer and contractor phone numbers are required' });
+  }
+  if (!TELNYX_API_KEY || !TELNYX_PHONE_NUMBER) {
+    return res.status(503).json({ success: false, error: 'Telnyx is not configured' });
+  }
+  const dispatcher = includeDispatcher ? normalizePhone(DISPATCHER_PHONE_NUMBER) : null;
+  if (includeDispatcher && !dispatcher) {
+    return res.status(400).json({ success: false, error: 'No dispatcher phone number is configured' });
+  }
+
+  const name = `3way-${Date.now()}-${crypto.randomBytes(3).toString('hex')}`;
+  try {
+    await dbRun(
+      `INSERT INTO conferences (name, status, customer_number, contractor_number, dispatcher_number) VALUES (?, 'dialing', ?, ?, ?)`,
+      [name, customer, contractor, dispatcher]
+    );
+    const customerRow = await findOrCreateCustomer(customer);
+    const parties = { customer, contractor, dispatcher };
+
+    const legs = {};
+    for (const role of CONFERENCE_ROLES) {
+      if (!parties[role]) continue;
+      const call_type = `conference_${role}`;
+      const call_id = await dialOutbound(parties[role], { call_type, conference: name }, { timeoutSecs: 45 });
+      if (!call_id) continue;
+      legs[role] = call_id;
+      await upsertCall({
+        call_id,
+        direction: 'outbound',
+        from_number: TELNYX_PHONE_NUMBER,
+        to_number: parties[role],
+        status: 'initiated',
+        start_time: new Date().toISOString(),
+        call_type,
+        conference_name: name,
+        customer_id: role === 'customer' ? customerRow?.id || null : null
+      });
+    }
+
+    if (!legs.customer || !legs.contractor) {
+      await dbRun(`UPDATE conferences SET status = 'failed', ended_at = ? WHERE name = ?`, [new Date().toISOString(), name]);
+      for (const call_id of Object.values(legs)) await hangupCall(call_id);
+      return res.status(502).json({ success: false, error: 'Telnyx rejected one of the calls' });
+    }
+
+    console.log('👥 CONFERENCE: Dialing', name, legs);
+    await audit(req, 'call.three_way', 'conference', name, { customer, contractor, dispatcher, legs });
+    res.json({ success: true, conference: name, legs });
+  } catch (e) {
+    console.error('three-way-call error:', e);
+    res.status(500).json({ success: false, error: 'Failed to start 3-way call' });
+  }
+});
+
+app.get('/api/conferences/:name', async (req, res) => {
+  try {
+    const conference = await dbGet('SELECT * FROM conferences WHERE name = ?', [req.params.name]);
+    if (!conference) return res.status(404).json({ success: false, error: 'Conference not found' });
+    const participants = await dbAll(
+      `SELECT call_id, call_type, to_number, status, conference_joined_at, conference_left_at, duration
+       FROM calls WHERE conference_name = ? ORDER BY id`,
+      [conference.name]
+    );
+    const recording_url = conference.recording_url
+      ? signedRecordingUrl('conference', conference.id, MEDIA_LINK_TTL_SECS, mediaLinkOwner(req.auth)) : null;
+    res.json({ success: true, conference: { ...conference, recording_url }, participants });
+  } catch (e) {
+    console.error('get conference error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load conference' });
+  }
+});
+
+app.get('/api/customers', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const where = [];
+    const params = [];
+    const search = String(req.query.search || '').trim();
+    if (search) {
+      const like = `%${search}%`;
+      const digits = search.replace(/\D/g, '');
+      where.push(`(name LIKE ? OR address LIKE ? OR notes LIKE ?${digits ? ' OR phone_number LIKE ?' : ''})`);
+      params.push(like, like, like);
+      if (digits) params.push(`%${digits}%`);
+    }
+    if (req.query.damageType) { where.push('damage_type = ?'); params.push(req.query.damageType); }
+    if (req.query.urgency) { where.push('urgency = ?'); params.push(req.query.urgency); }
+
+    const customers = await dbAll(
+      `SELECT c.*, (SELECT COUNT(*) FROM calls WHERE customer_id = c.id) AS call_count,
+              (SELECT MAX(start_time) FROM calls WHERE customer_id = c.id) AS last_call_at
+       FROM customers c ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY c.updated_at DESC, c.id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    res.json({ success: true, customers });
+  } catch (e) {
+    console.error('list customers error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load customers' });
+  }
+});
+
+app.get('/api/customers/:id', async (req, res) => {
+  try {
+    const customer = await dbGet('SELECT * FROM customers WHERE id = ?', [req.params.id]);
+    if (!customer) return res.status(404).json({ success: false, error: 'Customer not found' });
+    const calls = await dbAll('SELECT * FROM calls WHERE customer_id = ? ORDER BY start_time DESC', [customer.id]);
+    res.json({ success: true, customer, calls: calls.map(c => callJson(c, req.auth)) });
+  } catch (e) {
+    console.error('get customer error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load customer' });
+  }
+});
+
+app.post('/api/customers', async (req, res) => {
+  const { fields, error } = customerFieldsFromBody(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  if (!fields.phone_number) return res.status(400).json({ success: false, error: 'A valid phone number is required' });
+
+  try {
+    const existing = await dbGet('SELECT * FROM customers WHERE phone_number = ?', [fields.phone_number]);
+    if (existing) return res.status(409).json({ success: false, error: 'A customer with this phone number already exists', customer: existing });
+
+    const cols = Object.keys(fields);
+    const { lastID } = await dbRun(
+      `INSERT INTO customers (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+      cols.map(c => fields[c])
+    );
+    // Attach any calls that came in before the profile was created
+    await dbRun(`UPDATE calls SET customer_id = ? WHERE customer_id IS NULL AND
+                 ((direction = 'inbound' AND from_number = ?) OR (call_type = 'outbound_customer' AND to_number = ?))`,
+      [lastID, fields.phone_number, fields.phone_number]);
+    await audit(req, 'customer.create', 'customer', lastID, { fields: cols });
+    const customer = await dbGet('SELECT * FROM customers WHERE id = ?', [lastID]);
+    res.status(201).json({ success: true, customer });
+  } catch (e) {
+    console.error('create customer error:', e);
+    res.status(500).json({ success: false, error: 'Failed to create customer' });
+  }
+});
+
+app.put('/api/customers/:id', async (req, res) => {
+  const { fields, error } = customerFieldsFromBody(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  const cols = Object.keys(fields);
+  if (!cols.length) return res.status(400).json({ success: false, error: 'No fields to update' });
+
+  try {
+    const { changes } = await dbRun(
+      `UPDATE customers SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...cols.map(c => fields[c]), req.params.id]
+    );
+    if (!changes) return res.status(404).json({ success: false, error: 'Customer not found' });
+    await audit(req, 'customer.update', 'customer', req.params.id, { fields: cols });
+    const customer = await dbGet('SELECT * FROM customers WHERE id = ?', [req.params.id]);
+    res.json({ success: true, customer });
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) {
+      return res.status(409).json({ success: false, error: 'Another customer already uses this phone number' });
+    }
+    console.error('update customer error:', e);
+    res.status(500).json({ success: false, error: 'Failed to update customer' });
+  }
+});
+
+app.get('/api/contractors', async (req, res) => {
+  try {
+    const where = [];
+    const params = [];
+    if (req.query.specialty) {
+      where.push('specialties LIKE ?');
+      params.push(`%${String(req.query.specialty).trim().toLowerCase()}%`);
+    }
+    if (req.query.area) {
+      const area = String(req.query.area).trim();
+      where.push('(service_area LIKE ? OR service_zip_codes LIKE ?)');
+      params.push(`%${area}%`, `%${area}%`);
+    }
+    if (req.query.availability) { where.push('availability = ?'); params.push(req.query.availability); }
+    if (req.query.search) {
+      const like = `%${String(req.query.search).trim()}%`;
+      where.push('(name LIKE ? OR company LIKE ? OR phone_number LIKE ?)');
+      params.push(like, like, like);
+    }
+
+    const contractors = await dbAll(
+      `SELECT * FROM contractors ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+       ORDER BY rating IS NULL, rating DESC, company, name`,
+      params
+    );
+    res.json({ success: true, contractors });
+  } catch (e) {
+    console.error('list contractors error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load contractors' });
+  }
+});
+
+// Contractors to dispatch for a ZIP + damage type, either given directly or taken from a call
+app.get('/api/contractors/match', async (req, res) => {
+  try {
+    let zip = String(req.query.zip || '').trim();
+    let damageType = String(req.query.damageType || '').trim().toLowerCase();
+
+    if (req.query.call_id) {
+      const call = await dbGet(
+        `SELECT calls.customer_zip_code, customers.damage_type FROM calls
+         LEFT JOIN customers ON customers.id = calls.customer_id WHERE calls.call_id = ?`,
+        [req.query.call_id]
+      );
+      if (!call) return res.status(404).json({ success: false, error: 'Call not found' });
+      zip = zip || call.customer_zip_code || '';
+      damageType = damageType || call.damage_type || '';
+    }
+
+    if (zip && !/^\d{5}$/.test(zip)) return res.status(400).json({ success: false, error: 'zip must be 5 digits' });
+    if (!zip && !damageType) return res.status(400).json({ success: false, error: 'zip or damageType is required' });
+
+    const contractors = await findMatchingContractors({
+      zip, damageType, includeBusy: req.query.includeBusy === 'true'
+    });
+    res.json({ success: true, zip: zip || null, damageType: damageType || null, contractors });
+  } catch (e) {
+    console.error('match contractors error:', e);
+    res.status(500).json({ success: false, error: 'Failed to match contractors' });
+  }
+});
+
+app.get('/api/contractors/:id', async (req, res) => {
+  try {
+    const contractor = await dbGet('SELECT * FROM contractors WHERE id = ?', [req.params.id]);
+    if (!contractor) return res.status(404).json({ success: false, error: 'Contractor not found' });
+    res.json({ success: true, contractor });
+  } catch (e) {
+    console.error('get contractor error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load contractor' });
+  }
+});
+
+app.post('/api/contractors', async (req, res) => {
+  const { fields, error } = contractorFieldsFromBody(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  if (!fields.phone_number) return res.status(400).json({ success: false, error: 'A valid phone number is required' });
+
+  try {
+    const existing = await dbGet('SELECT * FROM contractors WHERE phone_number = ?', [fields.phone_number]);
+    if (existing) return res.status(409).json({ success: false, error: 'A contractor with this phone number already exists', contractor: existing });
+
+    const cols = Object.keys(fields);
+    const { lastID } = await dbRun(
+      `INSERT INTO contractors (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+      cols.map(c => fields[c])
+    );
+    await audit(req, 'contractor.create', 'contractor', lastID, { fields: cols });
+    const contractor = await dbGet('SELECT * FROM contractors WHERE id = ?', [lastID]);
+    res.status(201).json({ success: true, contractor });
+  } catch (e) {
+    console.error('create contractor error:', e);
+    res.status(500).json({ success: false, error: 'Failed to create contractor' });
+  }
+});
+
+app.put('/api/contractors/:id', async (req, res) => {
+  const { fields, error } = contractorFieldsFromBody(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  const cols = Object.keys(fields);
+  if (!cols.length) return res.status(400).json({ success: false, error: 'No fields to update' });
+
+  try {
+    const { changes } = await dbRun(
+      `UPDATE contractors SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...cols.map(c => fields[c]), req.params.id]
+    );
+    if (!changes) return res.status(404).json({ success: false, error: 'Contractor not found' });
+    await audit(req, 'contractor.update', 'contractor', req.params.id, { fields: cols });
+    const contractor = await dbGet('SELECT * FROM contractors WHERE id = ?', [req.params.id]);
+    res.json({ success: true, contractor });
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) {
+      return res.status(409).json({ success: false, error: 'Another contractor already uses this phone number' });
+    }
+    console.error('update contractor error:', e);
+    res.status(500).json({ success: false, error: 'Failed to update contractor' });
+  }
+});
+
+app.delete('/api/contractors/:id', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM contractors WHERE id = ?', [req.params.id]);
+    if (!changes) return res.status(404).json({ success: false, error: 'Contractor not found' });
+    await audit(req, 'contractor.delete', 'contractor', req.params.id);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('delete contractor error:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete contractor' });
+  }
+});
+
+// Record which contractor a dispatcher sent for a call (stored on calls.contractor_info)
+app.post('/api/calls/:call_id/contractor', async (req, res) => {
+  try {
+    const call = await dbGet('SELECT call_id FROM calls WHERE call_id = ?', [req.params.call_id]);
+    if (!call) return res.status(404).json({ success: false, error: 'Call not found' });
+    const contractor = await dbGet('SELECT * FROM contractors WHERE id = ?', [req.body?.contractorId]);
+    if (!contractor) return res.status(404).json({ success: false, error: 'Contractor not found' });
+
+    const contractor_info = JSON.stringify({
+      id: contractor.id,
+      name: contractor.name,
+      company: contractor.company,
+      phone_number: contractor.phone_number,
+      assigned_at: new Date().toISOString()
+    });
+    await upsertFields(call.call_id, { contractor_info });
+    await audit(req, 'call.assign_contractor', 'call', call.call_id, { contractor_id: contractor.id });
+    res.json({ success: true, contractor_info: JSON.parse(contractor_info) });
+  } catch (e) {
+    console.error('assign contractor error:', e);
+    res.status(500).json({ success: false, error: 'Failed to assign contractor' });
+  }
+});
+
+// ------------------------------ Admin: Zapier --------------------------------
+app.get('/api/admin/zapier/deliveries', async (req, res) => {
+  try {
+    const status = String(req.query.status || 'dead');
+    const deliveries = await dbAll(
+      `SELECT id, call_id, status, attempts, next_attempt_at, last_error, delivered_at, created_at, updated_at
+       FROM zapier_outbox WHERE status = ? ORDER BY updated_at DESC LIMIT 200`,
+      [status]
+    );
+    res.json({ success: true, deliveries });
+  } catch (e) {
+    console.error('list zapier deliveries error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load deliveries' });
+  }
+});
+
+// Replay one dead delivery, or all of them with id "dead"
+app.post('/api/admin/zapier/deliveries/:id/replay', async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const { changes } = req.params.id === 'dead'
+      ? await dbRun(`UPDATE zapier_outbox SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE status = 'dead'`, [now])
+      : await dbRun(`UPDATE zapier_outbox SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND status = 'dead'`, [now, req.params.id]);
+    if (!changes) return res.status(404).json({ success: false, error: 'No dead delivery to replay' });
+    processZapierOutbox().catch(e => console.error('Zapier outbox error:', e));
+    res.json({ success: true, replayed: changes });
+  } catch (e) {
+    console.error('replay zapier delivery error:', e);
+    res.status(500).json({ success: false, error: 'Failed to replay delivery' });
+  }
+});
+
+// ------------------------------ Admin: webhooks -------------------------------
+const subscriptionJson = (sub) => ({ ...sub, secret: undefined, events: JSON.parse(sub.events || '[]'), active: !!sub.active });
+
+app.get('/api/admin/webhooks', async (req, res) => {
+  try {
+    const subs = await dbAll(
+      `SELECT s.*,
+         (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'pending') AS pending,
+         (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = s.id AND d.status = 'dead') AS dead,
+         (SELECT MAX(delivered_at) FROM webhook_deliveries d WHERE d.subscription_id = s.id) AS last_delivered_at
+       FROM webhook_subscriptions s ORDER BY s.id`
+    );
+    res.json({ success: true, events: WEBHOOK_EVENTS, subscriptions: subs.map(subscriptionJson) });
+  } catch (e) {
+    console.error('list webhooks error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load webhook subscriptions' });
+  }
+});
+
+// Body: { name, url, events: [...] | ["*"], active }. The signing secret is only returned here
+// and by rotate-secret.
+app.post('/api/admin/webhooks', async (req, res) => {
+  const { fields, error } = webhookFieldsFromBody(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  try {
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const cols = [...Object.keys(fields), 'secret', 'created_by'];
+    const { lastID } = await dbRun(
+      `INSERT INTO webhook_subscriptions (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+      [...Object.values(fields), secret, req.auth.name]
+    );
+    await audit(req, 'webhook.create', 'webhook', lastID, { name: fields.name, url: fields.url, events: JSON.parse(fields.events) });
+    const sub = await dbGet('SELECT * FROM webhook_subscriptions WHERE id = ?', [lastID]);
+    res.json({ success: true, subscription: subscriptionJson(sub), secret });
+  } catch (e) {
+    console.error('create webhook error:', e);
+    res.status(500).json({ success: false, error: 'Failed to create webhook subscription' });
+  }
+});
+
+app.put('/api/admin/webhooks/:id', async (req, res) => {
+  const { fields, error } = webhookFieldsFromBody(req.body, { partial: true });
+  if (error) return res.status(400).json({ success: false, error });
+  const cols = Object.keys(fields);
+  if (!cols.length) return res.status(400).json({ success: false, error: 'Nothing to update' });
+  try {
+    const { changes } = await dbRun(
+      `UPDATE webhook_subscriptions SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...cols.map(c => fields[c]), req.params.id]
+    );
+    if (!changes) return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    await audit(req, 'webhook.update', 'webhook', req.params.id, { fields: cols });
+    const sub = await dbGet('SELECT * FROM webhook_subscriptions WHERE id = ?', [req.params.id]);
+    res.json({ success: true, subscription: subscriptionJson(sub) });
+  } catch (e) {
+    console.error('update webhook error:', e);
+    res.status(500).json({ success: false, error: 'Failed to update webhook subscription' });
+  }
+});
+
+// Also removes its delivery history
+app.delete('/api/admin/webhooks/:id', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM webhook_subscriptions WHERE id = ?', [req.params.id]);
+    if (!changes) return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    await audit(req, 'webhook.delete', 'webhook', req.params.id);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('delete webhook error:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete webhook subscription' });
+  }
+});
+
+// The old secret stops working immediately, including for queued retries
+app.post('/api/admin/webhooks/:id/rotate-secret', async (req, res) => {
+  try {
+    const secret = `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+    const { changes } = await dbRun('UPDATE webhook_subscriptions SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [secret, req.params.id]);
+    if (!changes) return res.status(404).json({ success: false, error: 'Webhook subscription not found' });
+    await audit(req, 'webhook.rotate_secret', 'webhook', req.params.id);
+    res.json({ success: true, secret });
+  } catch (e) {
+    console.error('rotate webhook secret error:', e);
+    res.status(500).json({ success: false, error: 'Failed to rotate secret' });
+  }
+});
+
+// Delivery history, newest first. ?status=&event=&call_id=&limit&offset; &payload=true includes the body sent
+app.get('/api/admin/webhooks/:id/deliveries', async (req, res) => {
+  const { status, event, call_id } = req.query;
+  if (status && !WEBHOOK_DELIVERY_STATES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of ${WEBHOOK_DELIVERY_STATES.join(', ')}` });
+  }
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const where = ['subscription_id = ?'];
+  const params = [req.params.id];
+  if (status) { where.push('status = ?'); params.push(status); }
+  if (event) { where.push('event = ?'); params.push(String(event)); }
+  if (call_id) { where.push('call_id = ?'); params.push(String(call_id)); }
+  try {
+    const deliveries = await dbAll(
+      `SELECT id, event_id, event, call_id, status, attempts, next_attempt_at, response_status, last_error, delivered_at,
+         created_at, updated_at${req.query.payload === 'true' ? ', payload' : ''}
+       FROM webhook_deliveries WHERE ${where.join(' AND ')} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    res.json({
+      success: true,
+      deliveries: deliveries.map(d => (d.payload ? { ...d, payload: JSON.parse(d.payload) } : d))
+    });
+  } catch (e) {
+    console.error('list webhook deliveries error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load deliveries' });
+  }
+});
+
+// Retry one dead delivery, or all of the subscription's dead ones with id "dead"
+app.post('/api/admin/webhooks/:id/deliveries/:deliveryId/retry', async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const { changes } = req.params.deliveryId === 'dead'
+      ? await dbRun(`UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE subscription_id = ? AND status = 'dead'`, [now, req.params.id])
+      : await dbRun(`UPDATE webhook_deliveries SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+                     WHERE id = ? AND subscription_id = ? AND status = 'dead'`, [now, req.params.deliveryId, req.params.id]);
+    if (!changes) return res.status(404).json({ success: false, error: 'No dead delivery to retry' });
+    processWebhookDeliveries().catch(e => console.error('Webhook delivery error:', e));
+    res.json({ success: true, retried: changes });
+  } catch (e) {
+    console.error('retry webhook delivery error:', e);
+    res.status(500).json({ success: false, error: 'Failed to retry delivery' });
+  }
+});
+
+// --------------------------- Admin: transcription ----------------------------
+app.get('/api/admin/transcriptions', async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !TRANSCRIPTION_JOB_STATES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${TRANSCRIPTION_JOB_STATES.join(', ')}` });
+    }
+    const jobs = await dbAll(
+      `SELECT * FROM transcription_jobs ${status ? 'WHERE status = ?' : ''} ORDER BY updated_at DESC LIMIT 200`,
+      status ? [status] : []
+    );
+    res.json({ success: true, provider: transcriptionEnabled() ? TRANSCRIPTION_PROVIDER : null, jobs });
+  } catch (e) {
+    console.error('list transcriptions error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load transcription jobs' });
+  }
+});
+
+// Retry a failed job now, or all of them with id "failed". Runs on the configured provider.
+app.post('/api/admin/transcriptions/:id/retry', async (req, res) => {
+  try {
+    const provider = transcriptionProvider();
+    if (!provider) return res.status(400).json({ success: false, error: 'No transcription provider configured' });
+    const now = new Date().toISOString();
+    const { changes } = await dbRun(
+      `UPDATE transcription_jobs SET status = 'pending', attempts = 0, external_id = NULL, provider = ?, next_attempt_at = ?,
+         updated_at = CURRENT_TIMESTAMP WHERE status = 'failed' ${req.params.id === 'failed' ? '' : 'AND id = ?'}`,
+      req.params.id === 'failed' ? [provider.name, now] : [provider.name, now, req.params.id]
+    );
+    if (!changes) return res.status(404).json({ success: false, error: 'No failed job to retry' });
+    sweepTranscriptionJobs().catch(e => console.error('Transcription sweep error:', e));
+    res.json({ success: true, retried: changes });
+  } catch (e) {
+    console.error('retry transcription error:', e);
+    res.status(500).json({ success: false, error: 'Failed to retry transcription' });
+  }
+});
+
+// ------------------------------ Admin: storage -------------------------------
+app.get('/api/admin/media', async (req, res) => {
+  try {
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !MEDIA_OBJECT_STATES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${MEDIA_OBJECT_STATES.join(', ')}` });
+    }
+    const objects = await dbAll(
+      `SELECT * FROM media_objects ${status ? 'WHERE status = ?' : ''} ORDER BY updated_at DESC LIMIT 200`,
+      status ? [status] : []
+    );
+    res.json({ success: true, driver: STORAGE_DRIVER, public: STORAGE_DRIVER === 's3' && STORAGE_PUBLIC, objects });
+  } catch (e) {
+    console.error('list media objects error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load media objects' });
+  }
+});
+
+// Retry a failed copy now, or all of them with id "failed"
+app.post('/api/admin/media/:id/retry', async (req, res) => {
+  try {
+    const now = new Date().toISOString();
+    const { changes } = await dbRun(
+      `UPDATE media_objects SET status = 'pending', attempts = 0, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'failed' ${req.params.id === 'failed' ? '' : 'AND id = ?'}`,
+      req.params.id === 'failed' ? [now] : [now, req.params.id]
+    );
+    if (!changes) return res.status(404).json({ success: false, error: 'No failed copy to retry' });
+    sweepMediaObjects().catch(e => console.error('Media sweep error:', e));
+    res.json({ success: true, retried: changes });
+  } catch (e) {
+    console.error('retry media object error:', e);
+    res.status(500).json({ success: false, error: 'Failed to retry copy' });
+  }
+});
+
+// ---------------------------- Admin: users / keys -----------------------------
+function publicUser(u) {
+  const { password_hash, ...rest } = u;
+  return { ...rest, disabled: !!u.disabled };
+}
+
+// True when the change would leave nobody able to administer the system
+async function removesLastAdmin(userId) {
+  const { n } = await dbGet(`SELECT COUNT(*) AS n FROM users WHERE role = 'admin' AND disabled = 0 AND id != ?`, [userId]);
+  return n === 0;
+}
+
+app.get('/api/admin/users', async (req, res) => {
+  try {
+    const users = await dbAll('SELECT * FROM users ORDER BY username');
+    res.json({ success: true, users: users.map(publicUser) });
+  } catch (e) {
+    console.error('list users error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load users' });
+  }
+});
+
+app.post('/api/admin/users', async (req, res) => {
+  const username = String(req.body?.username || '').trim().toLowerCase();
+  const password = String(req.body?.password || '');
+  const role = req.body?.role || 'readonly';
+  if (!/^[a-z0-9._@-]{3,64}$/.test(username)) return res.status(400).json({ success: false, error: 'Username must be 3-64 letters, digits or . _ @ -' });
+  if (password.length < MIN_PASSWORD_LENGTH) return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  if (!ROLES.includes(role)) return res.status(400).json({ success: false, error: `role must be one of ${ROLES.join(', ')}` });
+  try {
+    const { lastID } = await dbRun('INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)', [username, await hashPassword(password), role]);
+    await audit(req, 'user.create', 'user', lastID, { username, role });
+    res.json({ success: true, user: publicUser(await dbGet('SELECT * FROM users WHERE id = ?', [lastID])) });
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) return res.status(409).json({ success: false, error: 'Username already exists' });
+    console.error('create user error:', e);
+    res.status(500).json({ success: false, error: 'Failed to create user' });
+  }
+});
+
+// { role?, password?, disabled? }; a new password or disabling ends the user's sessions
+app.put('/api/admin/users/:id', async (req, res) => {
+  const { role, password, disabled } = req.body || {};
+  if (role !== undefined && !ROLES.includes(role)) return res.status(400).json({ success: false, error: `role must be one of ${ROLES.join(', ')}` });
+  if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ success: false, error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` });
+  }
+  try {
+    const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.params.id]);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    const demoted = user.role === 'admin' && ((role && role !== 'admin') || disabled === true);
+    if (demoted && await removesLastAdmin(user.id)) return res.status(400).json({ success: false, error: 'Cannot remove the last admin' });
+
+    await dbRun(
+      `UPDATE users SET role = COALESCE(?, role), password_hash = COALESCE(?, password_hash), disabled = COALESCE(?, disabled),
+         updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [role ?? null, password !== undefined ? await hashPassword(String(password)) : null,
+        disabled === undefined ? null : (disabled ? 1 : 0), user.id]
+    );
+    if (password !== undefined || disabled === true) await dbRun('DELETE FROM sessions WHERE user_id = ?', [user.id]);
+    await audit(req, 'user.update', 'user', user.id, { role, disabled, passwordChanged: password !== undefined });
+    res.json({ success: true, user: publicUser(await dbGet('SELECT * FROM users WHERE id = ?', [user.id])) });
+  } catch (e) {
+    console.error('update user error:', e);
+    res.status(500).json({ success: false, error: 'Failed to update user' });
+  }
+});
+
+app.delete('/api/admin/users/:id', async (req, res) => {
+  try {
+    const user = await dbGet('SELECT * FROM users WHERE id = ?', [req.params.id]);
+    if (!user) return res.status(404).json({ success: false, error: 'User not found' });
+    if (user.role === 'admin' && await removesLastAdmin(user.id)) return res.status(400).json({ success: false, error: 'Cannot remove the last admin' });
+    await dbRun('DELETE FROM users WHERE id = ?', [user.id]); // sessions cascade
+    await audit(req, 'user.delete', 'user', user.id, { username: user.username });
+    res.json({ success: true });
+  } catch (e) {
+    console.error('delete user error:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete user' });
+  }
+});
+
+app.get('/api/admin/api-keys', async (req, res) => {
+  try {
+    const keys = await dbAll('SELECT id, name, prefix, scopes, created_by, last_used_at, revoked_at, created_at FROM api_keys ORDER BY id DESC');
+    res.json({ success: true, keys: keys.map(k => ({ ...k, scopes: JSON.parse(k.scopes || '[]') })) });
+  } catch (e) {
+    console.error('list api keys error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load API keys' });
+  }
+});
+
+// The key itself is only ever returned here
+app.post('/api/admin/api-keys', async (req, res) => {
+  const name = String(req.body?.name || '').trim();
+  const scopes = req.body?.scopes;
+  if (!name) return res.status(400).json({ success: false, error: 'name is required' });
+  if (!Array.isArray(scopes) || !scopes.length || !scopes.every(validScope)) {
+    return res.status(400).json({ success: false, error: `scopes must be a list of "*" or <resource>:read|write, resource one of ${API_RESOURCES.join(', ')}` });
+  }
+  try {
+    const key = `lk_${crypto.randomBytes(24).toString('base64url')}`;
+    const { lastID } = await dbRun(
+      'INSERT INTO api_keys (name, key_hash, prefix, scopes, created_by) VALUES (?, ?, ?, ?, ?)',
+      [name, tokenHash(key), key.slice(0, 8), JSON.stringify(scopes), req.auth.name]
+    );
+    await audit(req, 'api_key.create', 'api_key', lastID, { name, scopes });
+    res.json({ success: true, id: lastID, key, scopes });
+  } catch (e) {
+    console.error('create api key error:', e);
+    res.status(500).json({ success: false, error: 'Failed to create API key' });
+  }
+});
+
+app.delete('/api/admin/api-keys/:id', async (req, res) => {
+  try {
+    const { changes } = await dbRun('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL', [req.params.id]);
+    if (!changes) return res.status(404).json({ success: false, error: 'No active API key with that id' });
+    await audit(req, 'api_key.revoke', 'api_key', req.params.id);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('revoke api key error:', e);
+    res.status(500).json({ success: false, error: 'Failed to revoke API key' });
+  }
+});
+
+// ?action=media.view&actor=alice&target_id=<call id>&limit&offset
+app.get('/api/admin/audit', async (req, res) => {
+  const { action, actor, target_id } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const where = [];
+  const params = [];
+  if (action) { where.push('action = ?'); params.push(String(action)); }
+  if (actor) { where.push('actor_name = ?'); params.push(String(actor)); }
+  if (target_id) { where.push('target_id = ?'); params.push(String(target_id)); }
+  try {
+    const entries = await dbAll(
+      `SELECT * FROM audit_log ${where.length ? `WHERE ${where.join(' AND ')}` : ''} ORDER BY id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    res.json({ success: true, entries: entries.map(e => ({ ...e, details: e.details ? JSON.parse(e.details) : null })) });
+  } catch (e) {
+    console.error('audit log error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load audit log' });
+  }
+});
+
+// ------------------------------- Voicemails ----------------------------------
+// recording_url is a signed /media link for the caller; the stored copy may be private
+function voicemailJson(vm, auth) {
+  return { ...vm, recording_url: vm.recording_url ? signedRecordingUrl('voicemail', vm.id, MEDIA_LINK_TTL_SECS, mediaLinkOwner(auth)) : null };
+}
+
+// ?unheard=true for the review queue; ?call_id= for one call's messages
+app.get('/api/voicemails', async (req, res) => {
+  const { unheard, call_id } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const where = [`v.status != 'failed'`];
+  const params = [];
+  if (unheard === 'true') where.push('v.reviewed_at IS NULL');
+  if (unheard === 'false') where.push('v.reviewed_at IS NOT NULL');
+  if (call_id) { where.push('v.call_id = ?'); params.push(call_id); }
+
+  try {
+    const voicemails = await dbAll(
+      `SELECT v.*, c.name AS customer_name FROM voicemails v LEFT JOIN customers c ON c.id = v.customer_id
+       WHERE ${where.join(' AND ')} ORDER BY v.id DESC LIMIT ? OFFSET ?`,
+      [...params, limit, offset]
+    );
+    res.json({ success: true, voicemails: voicemails.map(v => voicemailJson(v, req.auth)) });
+  } catch (e) {
+    console.error('list voicemails error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load voicemails' });
+  }
+});
+
+app.get('/api/voicemails/:id', async (req, res) => {
+  try {
+    const voicemail = await dbGet('SELECT * FROM voicemails WHERE id = ?', [req.params.id]);
+    if (!voicemail) return res.status(404).json({ success: false, error: 'Voicemail not found' });
+    res.json({ success: true, voicemail: voicemailJson(voicemail, req.auth) });
+  } catch (e) {
+    console.error('get voicemail error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load voicemail' });
+  }
+});
+
+// Marks it reviewed by the signed-in user or API key; send { reviewed: false } to put it
+// back in the unheard queue
+app.post('/api/voicemails/:id/review', async (req, res) => {
+  const { reviewed = true } = req.body || {};
+  try {
+    const { changes } = reviewed
+      ? await dbRun('UPDATE voicemails SET reviewed_at = CURRENT_TIMESTAMP, reviewed_by = ? WHERE id = ?', [req.auth.name, req.params.id])
+      : await dbRun('UPDATE voicemails SET reviewed_at = NULL, reviewed_by = NULL WHERE id = ?', [req.params.id]);
+    if (!changes) return res.status(404).json({ success: false, error: 'Voicemail not found' });
+    await audit(req, reviewed ? 'voicemail.review' : 'voicemail.unreview', 'voicemail', req.params.id);
+    res.json({ success: true, voicemail: voicemailJson(await dbGet('SELECT * FROM voicemails WHERE id = ?', [req.params.id]), req.auth) });
+  } catch (e) {
+    console.error('review voicemail error:', e);
+    res.status(500).json({ success: false, error: 'Failed to update voicemail' });
+  }
+});
+
+// ---------------------------------- Reps -------------------------------------
+// Availability only, so dispatchers (and calls:write keys) can take reps in and out of
+// the hunt without admin rights. Name and phone number stay under /api/admin/reps.
+// Body: { status: 'available' | 'busy' | 'offline' }
+app.put('/api/reps/:id/status', async (req, res) => {
+  const { status } = req.body || {};
+  if (!REP_STATUSES.includes(status)) {
+    return res.status(400).json({ success: false, error: `status must be one of: ${REP_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const { changes } = await dbRun('UPDATE reps SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?', [status, req.params.id]);
+    if (!changes) return res.status(404).json({ success: false, error: 'Rep not found' });
+    await audit(req, 'rep.status', 'rep', req.params.id, { status });
+    res.json({ success: true, rep: await dbGet('SELECT * FROM reps WHERE id = ?', [req.params.id]) });
+  } catch (e) {
+    console.error('update rep status error:', e);
+    res.status(500).json({ success: false, error: 'Failed to update rep status' });
+  }
+});
+
+// ------------------------------ Admin: reps ---------------------------------
+function repFieldsFromBody(body = {}) {
+  const fields = {};
+  if (body.name !== undefined) fields.name = body.name ? String(body.name).trim() : null;
+  if (body.phoneNumber !== undefined) {
+    fields.phone_number = normalizePhone(body.phoneNumber);
+    if (!fields.phone_number) return { error: 'A valid phone number is required' };
+  }
+  if (body.status !== undefined) {
+    if (!REP_STATUSES.includes(body.status)) return { error: `status must be one of: ${REP_STATUSES.join(', ')}` };
+    fields.status = body.status;
+  }
+  return { fields };
+}
+
+async function groupWithMembers(id) {
+  const group = await dbGet('SELECT * FROM rep_groups WHERE id = ?', [id]);
+  if (!group) return null;
+  group.members = await dbAll(
+    `SELECT r.*, m.position FROM rep_group_members m JOIN reps r ON r.id = m.rep_id
+     WHERE m.group_id = ? ORDER BY m.position, r.id`,
+    [id]
+  );
+  return group;
+}
+
+async function setGroupMembers(groupId, memberIds) {
+  await dbRun('DELETE FROM rep_group_members WHERE group_id = ?', [groupId]);
+  for (const [position, repId] of memberIds.entries()) {
+    await dbRun('INSERT OR IGNORE INTO rep_group_members (group_id, rep_id, position) VALUES (?, ?, ?)', [groupId, repId, position]);
+  }
+}
+
+app.get('/api/admin/reps', async (req, res) => {
+  try {
+    const reps = await dbAll('SELECT * FROM reps ORDER BY name, id');
+    res.json({ success: true, reps });
+  } catch (e) {
+    console.error('list reps error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load reps' });
+  }
+});
+
+app.post('/api/admin/reps', async (req, res) => {
+  const { fields, error } = repFieldsFromBody(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  if (!fields.phone_number) return res.status(400).json({ success: false, error: 'A valid phone number is required' });
+
+  try {
+    const cols = Object.keys(fields);
+    const { lastID } = await dbRun(
+      `INSERT INTO reps (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+      cols.map(c => fields[c])
+    );
+    await audit(req, 'rep.create', 'rep', lastID, { fields: cols });
+    res.status(201).json({ success: true, rep: await dbGet('SELECT * FROM reps WHERE id = ?', [lastID]) });
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) {
+      return res.status(409).json({ success: false, error: 'A rep with this phone number already exists' });
+    }
+    console.error('create rep error:', e);
+    res.status(500).json({ success: false, error: 'Failed to create rep' });
+  }
+});
+
+// Admin-only; dispatchers change availability through PUT /api/reps/:id/status
+app.put('/api/admin/reps/:id', async (req, res) => {
+  const { fields, error } = repFieldsFromBody(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  const cols = Object.keys(fields);
+  if (!cols.length) return res.status(400).json({ success: false, error: 'No fields to update' });
+
+  try {
+    const { changes } = await dbRun(
+      `UPDATE reps SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`,
+      [...cols.map(c => fields[c]), req.params.id]
+    );
+    if (!changes) return res.status(404).json({ success: false, error: 'Rep not found' });
+    await audit(req, 'rep.update', 'rep', req.params.id, { fields: cols });
+    res.json({ success: true, rep: await dbGet('SELECT * FROM reps WHERE id = ?', [req.params.id]) });
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) {
+      return res.status(409).json({ success: false, error: 'Another rep already uses this phone number' });
+    }
+    console.error('update rep error:', e);
+    res.status(500).json({ success: false, error: 'Failed to update rep' });
+  }
+});
+
+app.delete('/api/admin/reps/:id', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM reps WHERE id = ?', [req.params.id]);
+    if (!changes) return res.status(404).json({ success: false, error: 'Rep not found' });
+    await audit(req, 'rep.delete', 'rep', req.params.id);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('delete rep error:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete rep' });
+  }
+});
+
+// Body: { name, strategy, ringTimeoutSecs, isDefault, memberIds: [repId, ...] } (memberIds in ring order)
+function groupFieldsFromBody(body = {}) {
+  const fields = {};
+  if (body.name !== undefined) {
+    fields.name = String(body.name || '').trim();
+    if (!fields.name) return { error: 'name is required' };
+  }
+  if (body.strategy !== undefined) {
+    if (!RING_STRATEGIES.includes(body.strategy)) return { error: `strategy must be one of: ${RING_STRATEGIES.join(', ')}` };
+    fields.strategy = body.strategy;
+  }
+  if (body.ringTimeoutSecs !== undefined) {
+    const secs = Number(body.ringTimeoutSecs);
+    if (!Number.isInteger(secs) || secs < 5 || secs > 120) return { error: 'ringTimeoutSecs must be between 5 and 120' };
+    fields.ring_timeout_secs = secs;
+  }
+  if (body.isDefault !== undefined) fields.is_default = body.isDefault ? 1 : 0;
+  if (body.memberIds !== undefined && (!Array.isArray(body.memberIds) || !body.memberIds.every(Number.isInteger))) {
+    return { error: 'memberIds must be an array of rep ids' };
+  }
+  return { fields, memberIds: body.memberIds };
 }
 
+app.get('/api/admin/rep-groups', async (req, res) => {
+  try {
+    const rows = await dbAll('SELECT id FROM rep_groups ORDER BY is_default DESC, name');
+    const groups = [];
+    for (const r of rows) groups.push(await groupWithMembers(r.id));
+    res.json({ success: true, groups });
+  } catch (e) {
+    console.error('list rep groups error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load rep groups' });
+  }
+});
+
+app.post('/api/admin/rep-groups', async (req, res) => {
+  const { fields, memberIds, error } = groupFieldsFromBody(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  if (!fields.name) return res.status(400).json({ success: false, error: 'name is required' });
+
+  try {
+    if (fields.is_default) await dbRun('UPDATE rep_groups SET is_default = 0');
+    const cols = Object.keys(fields);
+    const { lastID } = await dbRun(
+      `INSERT INTO rep_groups (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})`,
+      cols.map(c => fields[c])
+    );
+    if (memberIds) await setGroupMembers(lastID, memberIds);
+    await audit(req, 'rep_group.create', 'rep_group', lastID, { fields: cols, memberIds });
+    res.status(201).json({ success: true, group: await groupWithMembers(lastID) });
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) {
+      return res.status(409).json({ success: false, error: 'A group with this name already exists' });
+    }
+    if (String(e.message).includes('FOREIGN KEY')) {
+      return res.status(400).json({ success: false, error: 'memberIds contains an unknown rep' });
+    }
+    console.error('create rep group error:', e);
+    res.status(500).json({ success: false, error: 'Failed to create rep group' });
+  }
+});
+
+app.put('/api/admin/rep-groups/:id', async (req, res) => {
+  const { fields, memberIds, error } = groupFieldsFromBody(req.body);
+  if (error) return res.status(400).json({ success: false, error });
+  const cols = Object.keys(fields);
+  if (!cols.length && !memberIds) return res.status(400).json({ success: false, error: 'No fields to update' });
+
+  try {
+    const group = await dbGet('SELECT id FROM rep_groups WHERE id = ?', [req.params.id]);
+    if (!group) return res.status(404).json({ success: false, error: 'Rep group not found' });
+    if (fields.is_default) await dbRun('UPDATE rep_groups SET is_default = 0');
+    if (cols.length) {
+      await dbRun(`UPDATE rep_groups SET ${cols.map(c => `${c} = ?`).join(', ')} WHERE id = ?`, [...cols.map(c => fields[c]), group.id]);
+    }
+    if (memberIds) await setGroupMembers(group.id, memberIds);
+    await audit(req, 'rep_group.update', 'rep_group', group.id, { fields: cols, memberIds });
+    res.json({ success: true, group: await groupWithMembers(group.id) });
+  } catch (e) {
+    if (String(e.message).includes('UNIQUE')) {
+      return res.status(409).json({ success: false, error: 'Another group already uses this name' });
+    }
+    if (String(e.message).includes('FOREIGN KEY')) {
+      return res.status(400).json({ success: false, error: 'memberIds contains an unknown rep' });
+    }
+    console.error('update rep group error:', e);
+    res.status(500).json({ success: false, error: 'Failed to update rep group' });
+  }
+});
+
+app.delete('/api/admin/rep-groups/:id', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM rep_groups WHERE id = ?', [req.params.id]);
+    if (!changes) return res.status(404).json({ success: false, error: 'Rep group not found' });
+    await audit(req, 'rep_group.delete', 'rep_group', req.params.id);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('delete rep group error:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete rep group' });
+  }
+});
+
+// -------------------------- Admin: lead scoring ------------------------------
+app.get('/api/admin/lead-scoring', (req, res) => {
+  res.json({ success: true, rules: leadScoringRules, defaults: defaultLeadScoringRules() });
+});
+
+// Body: { rules } — the whole rule set; { rules: null } goes back to the defaults
+app.put('/api/admin/lead-scoring', async (req, res) => {
+  const { rules } = req.body || {};
+  try {
+    if (rules === null) {
+      await dbRun('DELETE FROM lead_scoring_rules WHERE id = 1');
+    } else {
+      const errors = validateLeadScoringRules(rules);
+      if (errors.length) return res.status(400).json({ success: false, error: 'Invalid rules', errors });
+      await dbRun(
+        `INSERT INTO lead_scoring_rules (id, rules) VALUES (1, ?)
+         ON CONFLICT(id) DO UPDATE SET rules = excluded.rules, updated_at = CURRENT_TIMESTAMP`,
+        [JSON.stringify(rules)]
+      );
+    }
+    await loadLeadScoringRules();
+    await audit(req, 'lead_scoring.update', 'lead_scoring', null, { reset: rules === null });
+    res.json({ success: true, rules: leadScoringRules });
+  } catch (e) {
+    console.error('save lead scoring error:', e);
+    res.status(500).json({ success: false, error: 'Failed to save lead scoring rules' });
+  }
+});
+
+// -------------------------- Admin: service area ------------------------------
+app.get('/api/admin/service-area', async (req, res) => {
+  try {
+    const area = await loadServiceArea();
+    const zip = String(req.query.zip || '').trim();
+    if (zip && !/^\d{5}$/.test(zip)) return res.status(400).json({ success: false, error: 'zip must be 5 digits' });
+    res.json({ success: true, serviceArea: area, ...(zip ? { zip, inServiceArea: await zipInServiceArea(zip) } : {}) });
+  } catch (e) {
+    console.error('get service area error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load service area' });
+  }
+});
+
+// Body: { zipCodes: ["33101", "331*"] or "33101,331*", partnerNumber, outOfAreaMessage }
+app.put('/api/admin/service-area', async (req, res) => {
+  const b = req.body || {};
+  const current = await loadServiceArea().catch(() => null);
+  const zipCodes = b.zipCodes !== undefined ? normalizeList(b.zipCodes) || '' : current?.zip_codes || '';
+  const bad = zipCodes.split(',').filter(z => z && !/^\d{1,5}\*$|^\d{5}$/.test(z));
+  if (bad.length) return res.status(400).json({ success: false, error: `Not a ZIP or ZIP prefix: ${bad.join(', ')}` });
+  const partnerNumber = b.partnerNumber !== undefined ? (b.partnerNumber ? normalizePhone(b.partnerNumber) : null) : current?.partner_number ?? null;
+  if (b.partnerNumber && !partnerNumber) return res.status(400).json({ success: false, error: 'partnerNumber is not a valid phone number' });
+  const message = b.outOfAreaMessage !== undefined ? (b.outOfAreaMessage || null) : current?.out_of_area_message ?? null;
+
+  try {
+    await dbRun(
+      `INSERT INTO service_area (id, zip_codes, partner_number, out_of_area_message) VALUES (1, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET zip_codes = excluded.zip_codes, partner_number = excluded.partner_number,
+         out_of_area_message = excluded.out_of_area_message, updated_at = CURRENT_TIMESTAMP`,
+      [zipCodes, partnerNumber, message]
+    );
+    await audit(req, 'service_area.update', 'service_area', null, { fields: Object.keys(b) });
+    res.json({ success: true, serviceArea: await loadServiceArea() });
+  } catch (e) {
+    console.error('save service area error:', e);
+    res.status(500).json({ success: false, error: 'Failed to save service area' });
+  }
+});
+
+// -------------------------- Admin: phone numbers ------------------------------
+app.get('/api/admin/phone-numbers', (req, res) => {
+  const numbers = [...phoneNumbers.values()].sort((a, b) => a.number.localeCompare(b.number));
+  res.json({ success: true, numbers, fallback: { number: TELNYX_PHONE_NUMBER || null, brand_name: BRAND_NAME, zapier_webhook_url: ZAPIER_WEBHOOK_URL || null } });
+});
+
+// Creates or updates. Body: { brandName, campaign, leadSource, ivrFlow, greetingAudioUrl,
+// repGroup, humanNumber, zapierWebhookUrl, active }; omitted fields are left as they are.
+app.put('/api/admin/phone-numbers/:number', async (req, res) => {
+  const number = normalizePhone(req.params.number);
+  if (!number) return res.status(400).json({ success: false, error: 'A valid phone number is required' });
+  try {
+    const { fields, error } = await phoneNumberFieldsFromBody(req.body);
+    if (error) return res.status(400).json({ success: false, error });
+    const cols = Object.keys(fields);
+    await dbRun(
+      `INSERT INTO phone_numbers (number${cols.map(c => `, ${c}`).join('')}) VALUES (?${cols.map(() => ', ?').join('')})
+       ON CONFLICT(number) DO UPDATE SET ${cols.map(c => `${c} = excluded.${c}, `).join('')}updated_at = CURRENT_TIMESTAMP`,
+      [number, ...cols.map(c => fields[c])]
+    );
+    await loadPhoneNumbers();
+    await audit(req, 'phone_number.save', 'phone_number', number, { fields: cols });
+    res.json({ success: true, number: phoneNumbers.get(number) });
+  } catch (e) {
+    console.error('save phone number error:', e);
+    res.status(500).json({ success: false, error: 'Failed to save phone number' });
+  }
+});
+
+// Past calls keep their campaign tags
+app.delete('/api/admin/phone-numbers/:number', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM phone_numbers WHERE number = ?', [normalizePhone(req.params.number)]);
+    if (!changes) return res.status(404).json({ success: false, error: 'Phone number not found' });
+    await loadPhoneNumbers();
+    await audit(req, 'phone_number.delete', 'phone_number', normalizePhone(req.params.number));
+    res.json({ success: true });
+  } catch (e) {
+    console.error('delete phone number error:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete phone number' });
+  }
+});
+
+// ---------------------------- Admin: schedule --------------------------------
+app.get('/api/admin/schedule', async (req, res) => {
+  try {
+    const schedule = await loadSchedule();
+    res.json({ success: true, schedule, now: await evaluateSchedule() });
+  } catch (e) {
+    console.error('get schedule error:', e);
+    res.status(500).json({ success: false, error: 'Failed to load schedule' });
+  }
+});
+
+// Body: { enabled, timezone, weekly, afterHoursMode, emergencyNumber, afterHoursGreeting }
+app.put('/api/admin/schedule', async (req, res) => {
+  const b = req.body || {};
+  const current = await loadSchedule().catch(() => null);
+  const next = {
+    enabled: b.enabled ?? current?.enabled ?? true,
+    timezone: b.timezone ?? current?.timezone,
+    weekly: b.weekly ?? current?.weekly,
+    after_hours_mode: b.afterHoursMode ?? current?.after_hours_mode ?? 'voicemail',
+    emergency_number: b.emergencyNumber !== undefined ? normalizePhone(b.emergencyNumber) : current?.emergency_number ?? null,
+    after_hours_greeting: b.afterHoursGreeting !== undefined ? (b.afterHoursGreeting || null) : current?.after_hours_greeting ?? null
+  };
+
+  const errors = [];
+  if (!next.timezone || !validTimezone(next.timezone)) errors.push('timezone must be an IANA zone like America/New_York');
+  if (!next.weekly || typeof next.weekly !== 'object' || Array.isArray(next.weekly)) {
+    errors.push('weekly must map weekdays (sun..sat) to hours');
+  } else {
+    for (const [day, hours] of Object.entries(next.weekly)) {
+      if (!WEEKDAYS.includes(day)) errors.push(`weekly.${day} is not a weekday (use ${WEEKDAYS.join(', ')})`);
+      else validateHours(hours, `weekly.${day}`, errors);
+    }
+  }
+  if (!AFTER_HOURS_MODES.includes(next.after_hours_mode)) errors.push(`afterHoursMode must be one of: ${AFTER_HOURS_MODES.join(', ')}`);
+  if (b.emergencyNumber && !next.emergency_number) errors.push('emergencyNumber is not a valid phone number');
+  if (next.after_hours_mode === 'emergency' && !next.emergency_number && !AFTER_HOURS_EMERGENCY_NUMBER) {
+    errors.push('afterHoursMode "emergency" needs an emergencyNumber');
+  }
+  if (errors.length) return res.status(400).json({ success: false, error: 'Invalid schedule', errors });
+
+  try {
+    await dbRun(
+      `INSERT INTO business_schedule (id, enabled, timezone, weekly, after_hours_mode, emergency_number, after_hours_greeting)
+       VALUES (1, ?, ?, ?, ?, ?, ?)
+       ON CONFLICT(id) DO UPDATE SET enabled = excluded.enabled, timezone = excluded.timezone, weekly = excluded.weekly,
+         after_hours_mode = excluded.after_hours_mode, emergency_number = excluded.emergency_number,
+         after_hours_greeting = excluded.after_hours_greeting, updated_at = CURRENT_TIMESTAMP`,
+      [next.enabled ? 1 : 0, next.timezone, JSON.stringify(next.weekly), next.after_hours_mode,
+        next.emergency_number, next.after_hours_greeting]
+    );
+    await audit(req, 'schedule.update', 'schedule', null, { fields: Object.keys(b) });
+    res.json({ success: true, schedule: await loadSchedule(), now: await evaluateSchedule() });
+  } catch (e) {
+    console.error('save schedule error:', e);
+    res.status(500).json({ success: false, error: 'Failed to save schedule' });
+  }
+});
+
+// Body: { date: "YYYY-MM-DD", name, hours: [{ open, close }] } — omit hours to close all day
+app.put('/api/admin/schedule/holidays/:date', async (req, res) => {
+  const { date } = req.params;
+  const { name = null, hours = [] } = req.body || {};
+  const errors = [];
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) errors.push('date must be YYYY-MM-DD');
+  validateHours(hours, 'hours', errors);
+  if (errors.length) return res.status(400).json({ success: false, error: 'Invalid holiday', errors });
+
+  try {
+    await dbRun(
+      `INSERT INTO schedule_holidays (date, name, hours) VALUES (?, ?, ?)
+       ON CONFLICT(date) DO UPDATE SET name = excluded.name, hours = excluded.hours`,
+      [date, name, JSON.stringify(hours)]
+    );
+    await audit(req, 'holiday.save', 'holiday', date, { name, closed: !hours.length });
+    res.json({ success: true, holiday: { date, name, hours } });
+  } catch (e) {
+    console.error('save holiday error:', e);
+    res.status(500).json({ success: false, error: 'Failed to save holiday' });
+  }
+});
+
+app.delete('/api/admin/schedule/holidays/:date', async (req, res) => {
+  try {
+    const { changes } = await dbRun('DELETE FROM schedule_holidays WHERE date = ?', [req.params.date]);
+    if (!changes) return res.status(404).json({ success: false, error: 'Holiday not found' });
+    await audit(req, 'holiday.delete', 'holiday', req.params.date);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('delete holiday error:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete holiday' });
+  }
+});
+
+// What an inbound call at ?at=<ISO time> (default now) would get
+app.get('/api/admin/schedule/preview', async (req, res) => {
+  const at = req.query.at ? new Date(req.query.at) : new Date();
+  if (isNaN(at)) return res.status(400).json({ success: false, error: 'at must be an ISO date/time' });
+  try {
+    res.json({ success: true, at: at.toISOString(), decision: await evaluateSchedule(at) });
+  } catch (e) {
+    console.error('schedule preview error:', e);
+    res.status(500).json({ success: false, error: 'Failed to evaluate schedule' });
+  }
+});
+
+// ------------------------------- Admin: IVR ---------------------------------
+app.get('/api/admin/ivr/flows', (req, res) => {
+  const flows = [...ivrFlows.values()].map(f => ({
+    name: f.name,
+    source: f.source,
+    version: f.version,
+    updated_at: f.updated_at,
+    active: f.name === activeIvrFlowName,
+    nodes: Object.keys(f.definition.nodes).length
+  }));
+  res.json({ success: true, active: activeIvrFlowName, flows });
+});
+
+app.get('/api/admin/ivr/flows/:name', (req, res) => {
+  const flow = ivrFlows.get(req.params.name);
+  if (!flow) return res.status(404).json({ success: false, error: 'Flow not found' });
+  res.json({ success: true, flow: { ...flow, active: flow.name === activeIvrFlowName } });
+});
+
+// Dry run: check a definition without storing it
+app.post('/api/admin/ivr/validate', (req, res) => {
+  const { errors, warnings } = validateIvrFlow(req.body);
+  res.status(errors.length ? 422 : 200).json({ success: !errors.length, errors, warnings });
+});
+
+app.put('/api/admin/ivr/flows/:name', async (req, res) => {
+  const name = String(req.params.name);
+  if (!/^[\w-]{1,64}$/.test(name)) return res.status(400).json({ success: false, error: 'Flow names are letters, digits, _ and - only' });
+  const { errors, warnings } = validateIvrFlow(req.body);
+  if (errors.length) return res.status(422).json({ success: false, errors, warnings });
+
+  try {
+    await dbRun(
+      `INSERT INTO ivr_flows (name, definition) VALUES (?, ?)
+       ON CONFLICT(name) DO UPDATE SET definition = excluded.definition, version = version + 1, updated_at = CURRENT_TIMESTAMP`,
+      [name, JSON.stringify(req.body)]
+    );
+    await reloadIvrFlows();
+    await audit(req, 'ivr_flow.save', 'ivr_flow', name, { version: ivrFlows.get(name)?.version ?? null });
+    res.json({ success: true, flow: ivrFlows.get(name), warnings });
+  } catch (e) {
+    console.error('save IVR flow error:', e);
+    res.status(500).json({ success: false, error: 'Failed to save flow' });
+  }
+});
+
+app.post('/api/admin/ivr/flows/:name/activate', async (req, res) => {
+  const flow = ivrFlows.get(req.params.name);
+  if (!flow) return res.status(404).json({ success: false, error: 'Flow not found or invalid' });
+  try {
+    // No flagged row means IVR_ACTIVE_FLOW (normally the built-in default) applies
+    await dbRun('UPDATE ivr_flows SET is_active = CASE WHEN name = ? THEN 1 ELSE 0 END', [flow.name]);
+    if (flow.source === 'file') {
+      // File flows have no row to flag; pin one by storing its current definition
+      await dbRun(`INSERT INTO ivr_flows (name, definition, is_active) VALUES (?, ?, 1)
+                   ON CONFLICT(name) DO UPDATE SET is_active = 1`, [flow.name, JSON.stringify(flow.definition)]);
+    }
+    await reloadIvrFlows();
+    await audit(req, 'ivr_flow.activate', 'ivr_flow', flow.name);
+    res.json({ success: true, active: activeIvrFlowName });
+  } catch (e) {
+    console.error('activate IVR flow error:', e);
+    res.status(500).json({ success: false, error: 'Failed to activate flow' });
+  }
+});
+
+app.delete('/api/admin/ivr/flows/:name', async (req, res) => {
+  if (req.params.name === activeIvrFlowName) {
+    return res.status(409).json({ success: false, error: 'Activate another flow before deleting this one' });
+  }
+  try {
+    const { changes } = await dbRun('DELETE FROM ivr_flows WHERE name = ?', [req.params.name]);
+    if (!changes) return res.status(404).json({ success: false, error: 'Flow not found in database' });
+    await reloadIvrFlows();
+    await audit(req, 'ivr_flow.delete', 'ivr_flow', req.params.name);
+    res.json({ success: true });
+  } catch (e) {
+    console.error('delete IVR flow error:', e);
+    res.status(500).json({ success: false, error: 'Failed to delete flow' });
+  }
+});
+
+// Re-read IVR_FLOW_FILE and the database
+app.post('/api/admin/ivr/reload', async (req, res) => {
+  try {
+    await reloadIvrFlows();
+    await audit(req, 'ivr_flow.reload', 'ivr_flow', null, { flows: ivrFlows.size });
+    res.json({ success: true, active: activeIvrFlowName, flows: [...ivrFlows.keys()] });
+  } catch (e) {
+    console.error('reload IVR flows error:', e);
+    res.status(500).json({ success: false, error: 'Failed to reload flows' });
+  }
+});
+
 // ---------------------------- Static / Health --------------------------------
 app.use(express.static(join(__dirname, 'public')));
 
@@ -1021,16 +5454,37 @@ app.get('/health', (req, res) => {
 async function startServer() {
   try {
     await initDatabase();
+    // Config caches first: recovery redials reps from the caller's brand line and the
+    // outbox checks per-number Zapier URLs
+    await reloadIvrFlows();
+    await loadPhoneNumbers();
+    await loadLeadScoringRules();
+    await resumeZapierOutbox();
+    await pruneProcessedWebhookEvents();
+    await recoverPendingTransfers();
+    await resumeTranscriptionJobs();
+    await resumeMediaObjects();
+    await resumeWebhookDeliveries();
+    await ensureBootstrapAdmin();
+    await pruneExpiredSessions();
+    setInterval(() => pruneProcessedWebhookEvents().catch(e => console.error('Prune webhook events error:', e)), 6 * 60 * 60 * 1000);
+    setInterval(() => pruneExpiredSessions().catch(e => console.error('Prune sessions error:', e)), 60 * 60 * 1000);
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`Water Damage Lead System running on port ${PORT}`);
       console.log(`Webhook URL (Telnyx): ${WEBHOOK_BASE_URL}/webhooks/calls`);
       console.log(`Webhook URL (AAI):    ${WEBHOOK_BASE_URL}/webhooks/assembly`);
-      console.log(`Spaces bucket: ${SPACES_BUCKET} | CDN: ${SPACES_CDN_BASE}`);
+      console.log(`Storage: ${STORAGE_DRIVER}${STORAGE_DRIVER === 's3' ? ` (bucket ${SPACES_BUCKET}, ${STORAGE_PUBLIC ? `public via ${SPACES_CDN_BASE}` : 'private'})` : STORAGE_DRIVER === 'local' ? ` (${STORAGE_LOCAL_DIR})` : ''}`);
+      if (!MEDIA_SIGNING_SECRET) console.warn('⚠️  MEDIA_SIGNING_SECRET not set - /media links stop working on restart');
+      if (!storageDriver()) console.warn(`⚠️  Storage driver "${STORAGE_DRIVER}" - recordings stay on expiring Telnyx links`);
       console.log(`Telnyx #: ${TELNYX_PHONE_NUMBER} | Human #: ${HUMAN_PHONE_NUMBER}`);
+      console.log(`Telnyx webhook signatures verified: ${!!TELNYX_PUBLIC_KEY}`);
+      if (!TELNYX_PUBLIC_KEY) console.warn('⚠️  TELNYX_PUBLIC_KEY not set - /webhooks/calls accepts unsigned requests');
       console.log(`Recorded prompts enabled: ${USE_RECORDED_PROMPTS}`);
       console.log(`Database path: ${dbPath}`);
-      console.log(`AssemblyAI enabled: ${aaiEnabled()}`);
-      console.log(`Zapier webhook configured: ${!!ZAPIER_WEBHOOK_URL}`);
+      console.log(`Transcription provider: ${transcriptionEnabled() ? TRANSCRIPTION_PROVIDER : 'none'}`);
+      if (!transcriptionEnabled() && TRANSCRIPTION_PROVIDER !== 'none') console.warn(`⚠️  Unknown TRANSCRIPTION_PROVIDER "${TRANSCRIPTION_PROVIDER}" - calls won't be transcribed`);
+      console.log(`Zapier webhook configured: ${zapierConfigured()}`);
+      console.log(`Phone numbers configured: ${phoneNumbers.size}`);
       if (ZAPIER_WEBHOOK_URL) console.log(`Zapier URL: ${ZAPIER_WEBHOOK_URL}`);
     });
 
@@ -1049,6 +5503,15 @@ async function startServer() {
   }
 }
 
-startServer().catch(console.error);
+// Under NODE_ENV=test the suite imports the helpers below without starting anything
+if (process.env.NODE_ENV !== 'test') startServer().catch(console.error);
 
 export default app;
+export {
+  initDatabase, dbGet, dbRun, upsertCall,
+  parseByteRange, signedMediaUrl, signedRecordingUrl, mediaSignatureValid,
+  defaultIvrFlow, validateIvrFlow,
+  defaultLeadScoringRules, validateLeadScoringRules, computeLeadScore, extractLeadFields, utterancesFrom,
+  formatTranscript,
+  enqueueTranscription, sweepTranscriptionJobs
+};
@@ -0,0 +1,54 @@
+// IVR flow validation
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, { NODE_ENV: 'test', DATABASE_PATH: ':memory:', STORAGE_DRIVER: 'none' });
+const { defaultIvrFlow, validateIvrFlow } = await import('../server.js');
+
+const noFlows = new Map();
+
+test('the built-in flow is valid', () => {
+  assert.deepEqual(validateIvrFlow(defaultIvrFlow(), noFlows), { errors: [], warnings: [] });
+});
+
+test('flows without nodes or a real start node are rejected', () => {
+  assert.deepEqual(validateIvrFlow(null, noFlows).errors, ['flow must be a JSON object']);
+  assert.deepEqual(validateIvrFlow({ start: 'a', nodes: {} }, noFlows).errors, ['flow.nodes must be a non-empty object']);
+  const flow = defaultIvrFlow();
+  flow.start = 'nowhere';
+  assert.deepEqual(validateIvrFlow(flow, noFlows).errors, ['flow.start must name an existing node']);
+});
+
+test('node types, targets, digits and ranges are checked', () => {
+  const flow = defaultIvrFlow();
+  flow.nodes.main.options = { '1': 'representative', 'x': 'voicemail', '2': 'missing' };
+  flow.nodes.main.timeout_ms = 10;
+  flow.nodes.voicemail.type = 'record';
+  const { errors } = validateIvrFlow(flow, noFlows);
+  assert.ok(errors.includes('nodes.main.options key "x" must be DTMF digits'), errors.join('\n'));
+  assert.ok(errors.includes('nodes.main.options.2 points at unknown node "missing"'), errors.join('\n'));
+  assert.ok(errors.includes('nodes.main.timeout_ms must be an integer from 1000 to 60000'), errors.join('\n'));
+  assert.ok(errors.some(e => e.startsWith('nodes.voicemail.type must be one of')), errors.join('\n'));
+});
+
+test('prompt nodes that only lead to each other are an endless loop', () => {
+  const flow = {
+    start: 'a',
+    nodes: {
+      a: { type: 'prompt', prompt: { text: 'one' }, next: 'b' },
+      b: { type: 'prompt', prompt: { text: 'two' }, next: 'a' }
+    }
+  };
+  assert.deepEqual(validateIvrFlow(flow, noFlows).errors, ['nodes.a: prompt nodes loop forever without input']);
+});
+
+test('unreachable nodes and unloaded submenus are warnings, not errors', () => {
+  const flow = defaultIvrFlow();
+  flow.nodes.orphan = { type: 'hangup', prompt: { text: 'Goodbye.' } };
+  flow.nodes.main.options['3'] = 'spanish';
+  flow.nodes.spanish = { type: 'submenu', flow: 'es' };
+  const { errors, warnings } = validateIvrFlow(flow, noFlows);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(warnings, ['nodes.spanish.flow "es" is not loaded; callers will go to voicemail', 'nodes.orphan is unreachable']);
+  assert.deepEqual(validateIvrFlow(flow, new Map([['es', {}]])).warnings, ['nodes.orphan is unreachable']);
+});
@@ -0,0 +1,92 @@
+// Lead scoring and lead field extraction
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, { NODE_ENV: 'test', DATABASE_PATH: ':memory:', STORAGE_DRIVER: 'none' });
+const { defaultLeadScoringRules, validateLeadScoringRules, computeLeadScore, extractLeadFields, utterancesFrom } = await import('../server.js');
+
+const rules = defaultLeadScoringRules();
+
+test('the default scoring rules are valid and broken ones are explained', () => {
+  assert.deepEqual(validateLeadScoringRules(rules), []);
+  assert.deepEqual(validateLeadScoringRules([]), ['rules must be a JSON object']);
+  const broken = { ...rules, tiers: { hot: 20, warm: 40 }, human_connected: 500 };
+  assert.deepEqual(validateLeadScoringRules(broken), [
+    'human_connected must be an integer from -100 to 100',
+    'tiers needs integers with 0 <= warm < hot <= 100'
+  ]);
+});
+
+test('keywords, duration and call signals add up to a tier', () => {
+  const hot = computeLeadScore({
+    transcript: 'We have standing water from a burst pipe and need to file an insurance claim',
+    durationSecs: 200,
+    humanConnected: true
+  }, rules);
+  assert.equal(hot.score, 95);
+  assert.equal(hot.tier, 'hot');
+  assert.deepEqual(hot.reasons, [
+    '+20 mentioned "standing water"', '+20 mentioned "burst pipe"', '+15 mentioned "insurance"',
+    '+20 call 200s', '+20 spoke with a rep'
+  ]);
+
+  const warm = computeLeadScore({ transcript: 'There is mold in the basement', durationSecs: 70, repeatCaller: true }, rules);
+  assert.deepEqual([warm.score, warm.tier], [35, 'warm']);
+});
+
+test('keywords match whole words only', () => {
+  const r = computeLeadScore({ transcript: 'the molding on the door is scratched', durationSecs: 40 }, rules);
+  assert.deepEqual([r.score, r.tier], [5, 'cold']);
+});
+
+test('short silent calls are spam unless the caller left a voicemail or reached a rep', () => {
+  assert.deepEqual(computeLeadScore({ transcript: '', durationSecs: 4 }, rules),
+    { score: 0, tier: 'spam', reasons: ['short call (4s) with 0 word(s) said'] });
+  assert.equal(computeLeadScore({ transcript: '', durationSecs: 4, voicemailLeft: true }, rules).tier, 'cold');
+  assert.equal(computeLeadScore({ transcript: '', durationSecs: 4, humanConnected: true }, rules).tier, 'cold');
+});
+
+test('scores stay between 0 and 100', () => {
+  const harsh = { ...rules, keywords: [{ terms: ['just a quote'], points: -50 }] };
+  assert.equal(computeLeadScore({ transcript: 'I just want just a quote', durationSecs: 60 }, harsh).score, 0);
+  const generous = { ...rules, keywords: [{ terms: ['water'], points: 100 }] };
+  assert.equal(computeLeadScore({ transcript: 'water', durationSecs: 200, humanConnected: true }, generous).score, 100);
+});
+
+test('extraction reads name, address, callback number, damage and urgency from the caller', () => {
+  const fields = extractLeadFields([
+    { speaker: 'A', text: 'Thank you for calling, what is your name?' },
+    { speaker: 'B', text: "It's Maria Lopez" },
+    { speaker: 'A', text: 'And what is your address?' },
+    { speaker: 'B', text: 'We are at 42 Ocean Drive, apt 3. The ceiling is collapsing and water is still coming in from a burst pipe.' },
+    { speaker: 'A', text: 'What number should we call you back on?' },
+    { speaker: 'B', text: 'Call me at (305) 555-0123.' }
+  ]);
+  const values = Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, [f.value, f.confidence]]));
+  assert.deepEqual(values, {
+    name: ['Maria Lopez', 0.65],
+    street_address: ['42 Ocean Drive, apt 3', 0.85],
+    callback_number: ['+13055550123', 0.9],
+    damage_type: ['water', 0.7],
+    urgency: ['emergency', 0.9]
+  });
+  assert.equal(fields.callback_number.source, 'Call me at (305) 555-0123.');
+});
+
+test('extraction works on a flat transcript', () => {
+  const fields = extractLeadFields(utterancesFrom('Hi this is Dana. No rush, just a quote for some mildew in the bathroom.'));
+  assert.equal(fields.name.value, 'Dana');
+  assert.equal(fields.damage_type.value, 'mold');
+  assert.equal(fields.urgency.value, 'low');
+  assert.equal(fields.callback_number, undefined);
+  assert.deepEqual(extractLeadFields([]), {});
+});
+
+test('utterancesFrom keeps speaker labels from plain text transcripts', () => {
+  assert.deepEqual(utterancesFrom('Speaker A: hello\nB: my name is Joe Smith\n\nrandom line'), [
+    { speaker: 'Speaker A', text: 'hello' },
+    { speaker: 'B', text: 'my name is Joe Smith' },
+    { speaker: '?', text: 'random line' }
+  ]);
+  assert.deepEqual(utterancesFrom('ignored', [{ speaker: 1, text: 'hi' }, { speaker: 2, text: ' ' }]), [{ speaker: '1', text: 'hi' }]);
+});
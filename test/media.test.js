@@ -0,0 +1,59 @@
+// Range parsing and signed /media links
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, { NODE_ENV: 'test', DATABASE_PATH: ':memory:', STORAGE_DRIVER: 'none' });
+const { parseByteRange, signedMediaUrl, signedRecordingUrl, mediaSignatureValid } = await import('../server.js');
+
+test('parseByteRange reads single ranges and clamps them to the object', () => {
+  assert.deepEqual(parseByteRange('bytes=0-9', 100), { start: 0, end: 9 });
+  assert.deepEqual(parseByteRange('bytes=90-', 100), { start: 90, end: 99 });
+  assert.deepEqual(parseByteRange('bytes=50-500', 100), { start: 50, end: 99 });
+  assert.deepEqual(parseByteRange('bytes=-10', 100), { start: 90, end: 99 });
+  assert.deepEqual(parseByteRange('bytes=-500', 100), { start: 0, end: 99 });
+});
+
+test('parseByteRange ignores what it does not handle and rejects unsatisfiable ranges', () => {
+  for (const header of [undefined, '', 'bytes=-', 'items=0-9', 'bytes=0-1,5-6', 'bytes=a-b']) {
+    assert.equal(parseByteRange(header, 100), null, String(header));
+  }
+  assert.equal(parseByteRange('bytes=100-', 100), false);
+  assert.equal(parseByteRange('bytes=9-2', 100), false);
+});
+
+// expires, by and signature from a minted link
+function linkParams(url) {
+  const u = new URL(url, 'http://localhost');
+  return [u.searchParams.get('expires'), u.searchParams.get('by'), u.searchParams.get('signature')];
+}
+
+test('a call media link verifies only for its own call, kind and owner', () => {
+  const [expires, by, signature] = linkParams(signedMediaUrl('call-1', 'recording', 60, 'user:1'));
+  assert.equal(by, 'user:1');
+  assert.equal(mediaSignatureValid('call-1', 'recording', expires, by, signature), true);
+  assert.equal(mediaSignatureValid('call-2', 'recording', expires, by, signature), false);
+  assert.equal(mediaSignatureValid('call-1', 'transcript', expires, by, signature), false);
+  assert.equal(mediaSignatureValid('call-1', 'recording', expires, 'user:2', signature), false);
+  assert.equal(mediaSignatureValid('call-1', 'recording', String(Number(expires) + 60), by, signature), false);
+});
+
+test('expired, malformed and tampered signatures are rejected', () => {
+  const [expires, by, signature] = linkParams(signedMediaUrl('call-1', 'recording', -1, 'zapier'));
+  assert.equal(mediaSignatureValid('call-1', 'recording', expires, by, signature), false);
+
+  const [exp2, by2, sig2] = linkParams(signedMediaUrl('call-1', 'recording', 60, 'zapier'));
+  const flipped = (sig2[0] === '0' ? '1' : '0') + sig2.slice(1);
+  assert.equal(mediaSignatureValid('call-1', 'recording', exp2, by2, flipped), false);
+  assert.equal(mediaSignatureValid('call-1', 'recording', exp2, by2, sig2.slice(2)), false);
+  assert.equal(mediaSignatureValid('call-1', 'recording', exp2, by2, 'not-hex'), false);
+  assert.equal(mediaSignatureValid('call-1', 'recording', 'soon', by2, sig2), false);
+});
+
+test('voicemail and conference links are signed over "<owner>:<id>"', () => {
+  const url = signedRecordingUrl('voicemail', 7, 60, 'webhook');
+  assert.match(url, /^\/media\/voicemail\/7\?/);
+  const [expires, by, signature] = linkParams(url);
+  assert.equal(mediaSignatureValid('voicemail:7', 'recording', expires, by, signature), true);
+  assert.equal(mediaSignatureValid('conference:7', 'recording', expires, by, signature), false);
+  assert.equal(mediaSignatureValid('7', 'recording', expires, by, signature), false);
+});
@@ -0,0 +1,57 @@
+// Versioned schema migrations
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import sqlite3 from 'sqlite3';
+import { loadMigrations, migrationStatus, migrate } from '../migrate.js';
+
+// Fresh in-memory database behind the same { run, get, all } shape server.js passes in
+function memoryDb() {
+  const conn = new sqlite3.Database(':memory:');
+  return {
+    run: (sql, params = []) => new Promise((res, rej) => {
+      conn.run(sql, params, function (err) { err ? rej(err) : res({ changes: this.changes, lastID: this.lastID }); });
+    }),
+    get: (sql, params = []) => new Promise((res, rej) => conn.get(sql, params, (err, row) => err ? rej(err) : res(row))),
+    all: (sql, params = []) => new Promise((res, rej) => conn.all(sql, params, (err, rows) => err ? rej(err) : res(rows)))
+  };
+}
+
+const migrations = await loadMigrations();
+const latest = migrations[migrations.length - 1].version;
+
+test('a new database gets every migration once', async () => {
+  const db = memoryDb();
+  const before = await migrationStatus(db);
+  assert.equal(before.dbVersion, 0);
+  assert.equal(before.codeVersion, latest);
+  assert.deepEqual(before.pending.map(m => m.file), migrations.map(m => m.file));
+
+  assert.deepEqual(await migrate(db), migrations.map(m => m.file));
+  const versions = await db.all('SELECT version FROM schema_version ORDER BY version');
+  assert.deepEqual(versions.map(r => r.version), migrations.map(m => m.version));
+  const tables = (await db.all(`SELECT name FROM sqlite_master WHERE type = 'table'`)).map(r => r.name);
+  for (const t of ['calls', 'customers', 'transcription_jobs', 'media_objects', 'webhook_subscriptions', 'call_events']) {
+    assert.ok(tables.includes(t), `missing table ${t}`);
+  }
+
+  assert.deepEqual(await migrate(db), []);
+  const after = await migrationStatus(db);
+  assert.equal(after.dbVersion, latest);
+  assert.deepEqual(after.pending, []);
+});
+
+test('a database migrated by a newer build is refused and left alone', async () => {
+  const db = memoryDb();
+  await migrate(db);
+  await db.run('INSERT INTO schema_version (version, name) VALUES (?, ?)', [latest + 1, 'from_the_future']);
+
+  const status = await migrationStatus(db);
+  assert.equal(status.dbVersion, latest + 1);
+  assert.deepEqual(status.unknown.map(r => r.name), ['from_the_future']);
+  await assert.rejects(migrate(db), {
+    message: `Database schema is version ${latest + 1} but this build only knows up to ${latest} ` +
+      `(unknown: ${latest + 1}_from_the_future) - deploy the newer code or restore a matching backup`
+  });
+  const { n } = await db.get('SELECT COUNT(*) AS n FROM schema_version');
+  assert.equal(n, migrations.length + 1);
+});
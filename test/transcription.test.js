@@ -0,0 +1,82 @@
+// Transcription job lifecycle against the fake provider: success, retry, dead-lettering
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  DATABASE_PATH: ':memory:',
+  STORAGE_DRIVER: 'none',
+  TRANSCRIPTION_PROVIDER: 'fake',
+  TRANSCRIPTION_MAX_ATTEMPTS: '2',
+  TRANSCRIPTION_RETRY_BASE_MS: '0'
+});
+const { initDatabase, dbGet, upsertCall, enqueueTranscription, sweepTranscriptionJobs } = await import('../server.js');
+await initDatabase();
+
+async function newCall(callId) {
+  await upsertCall({ call_id: callId, direction: 'inbound', from_number: '+13055550111', to_number: '+18005550000', status: 'completed', start_time: new Date().toISOString(), duration: 90 });
+}
+
+// enqueueTranscription runs the first attempt in the background
+async function jobSettled(callId, statuses) {
+  for (let i = 0; i < 200; i++) {
+    const job = await dbGet('SELECT * FROM transcription_jobs WHERE call_id = ?', [callId]);
+    if (job && statuses.includes(job.status)) return job;
+    await new Promise(r => setTimeout(r, 10));
+  }
+  throw new Error(`job for ${callId} never reached ${statuses.join('/')}`);
+}
+
+test('a fake job completes and stores the transcript, utterances and lead fields', async () => {
+  await newCall('fake-ok');
+  await enqueueTranscription('fake-ok', 'https://recordings.example/ok.mp3');
+  const job = await jobSettled('fake-ok', ['completed', 'failed']);
+
+  assert.equal(job.status, 'completed');
+  assert.equal(job.attempts, 1);
+  assert.equal(job.external_id, 'fake-fake-ok');
+  const call = await dbGet('SELECT * FROM calls WHERE call_id = ?', ['fake-ok']);
+  assert.match(call.transcript, /burst pipe/);
+  assert.equal(call.customer_name, 'Test Caller');
+  assert.equal(call.callback_number, '+13055550100');
+  const { n } = await dbGet('SELECT COUNT(*) AS n FROM transcript_utterances WHERE call_id = ?', ['fake-ok']);
+  assert.equal(n, 3);
+});
+
+test('the same call gives the same transcript every time', async () => {
+  await newCall('fake-again');
+  await enqueueTranscription('fake-again', 'https://recordings.example/ok.mp3');
+  await jobSettled('fake-again', ['completed']);
+  const first = (await dbGet('SELECT transcript FROM calls WHERE call_id = ?', ['fake-again'])).transcript;
+
+  await enqueueTranscription('fake-again', 'https://recordings.example/ok.mp3');
+  await jobSettled('fake-again', ['completed']);
+  const second = (await dbGet('SELECT transcript FROM calls WHERE call_id = ?', ['fake-again'])).transcript;
+  assert.equal(second, first);
+});
+
+test('a failing job is retried, then dead-lettered after TRANSCRIPTION_MAX_ATTEMPTS', async () => {
+  await newCall('fake-fail');
+  await enqueueTranscription('fake-fail', 'https://recordings.example/fail.mp3');
+
+  let job = await jobSettled('fake-fail', ['pending', 'failed']);
+  assert.equal(job.status, 'pending');
+  assert.equal(job.attempts, 1);
+  assert.match(job.last_error, /fake provider failure/);
+  assert.ok(job.next_attempt_at);
+
+  await sweepTranscriptionJobs();
+  job = await dbGet('SELECT * FROM transcription_jobs WHERE call_id = ?', ['fake-fail']);
+  assert.equal(job.status, 'failed');
+  assert.equal(job.attempts, 2);
+  assert.equal(job.next_attempt_at, null);
+
+  // Nothing left for the sweeper, and the call was still scored without a transcript
+  await sweepTranscriptionJobs();
+  assert.equal((await dbGet('SELECT attempts FROM transcription_jobs WHERE call_id = ?', ['fake-fail'])).attempts, 2);
+  const call = await dbGet('SELECT lead_quality, transcript FROM calls WHERE call_id = ?', ['fake-fail']);
+  assert.ok(call.lead_quality);
+  assert.equal(call.transcript, null);
+  const events = await dbGet(`SELECT COUNT(*) AS n FROM call_events WHERE call_id = ? AND type = 'transcription.failed'`, ['fake-fail']);
+  assert.equal(events.n, 2);
+});
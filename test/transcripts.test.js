@@ -0,0 +1,31 @@
+// Transcript export formats
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+Object.assign(process.env, { NODE_ENV: 'test', DATABASE_PATH: ':memory:', STORAGE_DRIVER: 'none' });
+const { formatTranscript } = await import('../server.js');
+
+const rows = [
+  { role: 'ivr', speaker: '2', start_ms: 0, end_ms: 2500, text: 'Thanks for calling.' },
+  { role: 'caller', speaker: '1', start_ms: 3723004, end_ms: null, text: 'Hi there.' }
+];
+
+test('SRT numbers cues and uses comma milliseconds', () => {
+  assert.equal(formatTranscript(rows, 'srt'), [
+    '1', '00:00:00,000 --> 00:00:02,500', 'IVR: Thanks for calling.', '',
+    '2', '01:02:03,004 --> 01:02:04,004', 'Caller: Hi there.', ''
+  ].join('\n'));
+});
+
+test('VTT has a header, dot milliseconds and voice tags', () => {
+  assert.equal(formatTranscript(rows, 'vtt'), [
+    'WEBVTT', '',
+    '00:00:00.000 --> 00:00:02.500', '<v IVR>Thanks for calling.', '',
+    '01:02:03.004 --> 01:02:04.004', '<v Caller>Hi there.', ''
+  ].join('\n'));
+});
+
+test('plain text shows minutes:seconds and falls back to the speaker label', () => {
+  const txt = formatTranscript([rows[0], { role: null, speaker: '7', start_ms: 65000, end_ms: 70000, text: 'Hello?' }], 'txt');
+  assert.equal(txt, '[00:00] IVR: Thanks for calling.\n[01:05] 7: Hello?\n');
+});